@@ -0,0 +1,133 @@
+import Task from '../models/Task.js';
+import Project, { DEFAULT_REMINDER_OFFSETS } from '../models/Project.js';
+import { notify } from '../utils/notifications.js';
+import { findTrashedProjectIds } from '../utils/trash.js';
+
+const HOUR = 60 * 60 * 1000;
+const DAY = 24 * HOUR;
+
+// Tasks that were already overdue for longer (e.g. when the scheduler was
+// first deployed) don't get a notice
+const OVERDUE_LOOKBACK = 7 * DAY;
+
+const BATCH_SIZE = 500;
+
+const reminderSettings = (project) => ({
+  offsets: project.dueReminders?.offsets ?? DEFAULT_REMINDER_OFFSETS,
+  overdue: project.dueReminders?.overdue ?? true
+});
+
+// Offsets used by any project, shortest first
+const findOffsets = async () => {
+  const offsets = await Project.distinct('dueReminders.offsets');
+  return [...new Set([...DEFAULT_REMINDER_OFFSETS, ...offsets])].sort((a, b) => a - b);
+};
+
+// Remind assignees of open tasks `offset` hours before they are due. Every
+// offset that has already passed is claimed along with it, so a task that
+// enters several windows at once (created or moved close to its due date)
+// gets only the most imminent reminder.
+const sendRemindersForOffset = async (offset, now, trashedProjectIds) => {
+  const dueTasks = await Task.find({
+    dueDate: { $gt: now, $lte: new Date(now.getTime() + offset * HOUR) },
+    remindedOffsets: { $ne: offset },
+    archivedAt: null,
+    project: { $nin: trashedProjectIds },
+    'assignees.0': { $exists: true }
+  })
+    .select('title dueDate assignees project status')
+    .populate('project', 'name columns dueReminders')
+    .limit(BATCH_SIZE);
+
+  let reminded = 0;
+  for (const task of dueTasks) {
+    // Trashed since the query ran
+    if (!task.project) continue;
+
+    try {
+      const { offsets } = reminderSettings(task.project);
+      const hoursLeft = (task.dueDate.getTime() - now.getTime()) / HOUR;
+      const passed = offsets.filter(hours => hours >= hoursLeft);
+
+      // Claim first so concurrent runs send each reminder once
+      const claim = await Task.updateOne(
+        { _id: task._id, remindedOffsets: { $ne: offset } },
+        { $addToSet: { remindedOffsets: { $each: [...new Set([offset, ...passed])] } } }
+      );
+      if (claim.modifiedCount === 0) continue;
+
+      // Offsets the project doesn't use and done tasks are only marked as handled
+      if (!offsets.includes(offset) || task.project.isDoneStatus(task.status)) continue;
+
+      await notify({
+        recipients: task.assignees,
+        type: 'task_due_soon',
+        message: `"${task.title}" in ${task.project.name} is due ${task.dueDate.toUTCString()}`,
+        project: task.project,
+        task
+      });
+      reminded += 1;
+    } catch (error) {
+      console.error(`Error sending due date reminder for task ${task._id}:`, error);
+    }
+  }
+
+  return reminded;
+};
+
+// Tell assignees and the project owner once that an open task is overdue
+const sendOverdueNotices = async (now, trashedProjectIds) => {
+  const overdueTasks = await Task.find({
+    dueDate: { $lte: now, $gt: new Date(now.getTime() - OVERDUE_LOOKBACK) },
+    overdueNoticeSentAt: null,
+    archivedAt: null,
+    project: { $nin: trashedProjectIds }
+  })
+    .select('title dueDate assignees project status')
+    .populate('project', 'name owner columns dueReminders')
+    .limit(BATCH_SIZE);
+
+  let notified = 0;
+  for (const task of overdueTasks) {
+    if (!task.project) continue;
+
+    try {
+      const claim = await Task.updateOne(
+        { _id: task._id, overdueNoticeSentAt: null },
+        { overdueNoticeSentAt: now }
+      );
+      if (claim.modifiedCount === 0) continue;
+
+      if (!reminderSettings(task.project).overdue || task.project.isDoneStatus(task.status)) continue;
+
+      await notify({
+        recipients: [...task.assignees, task.project.owner],
+        type: 'task_overdue',
+        message: `"${task.title}" in ${task.project.name} is overdue (was due ${task.dueDate.toUTCString()})`,
+        project: task.project,
+        task
+      });
+      notified += 1;
+    } catch (error) {
+      console.error(`Error sending overdue notice for task ${task._id}:`, error);
+    }
+  }
+
+  return notified;
+};
+
+// Send the due date reminders and overdue notices that have become due since
+// the last run, each at most once per due date (changing the due date resets
+// them, see PUT /api/tasks/:id)
+export const sendDueDateReminders = async () => {
+  const now = new Date();
+  const trashedProjectIds = await findTrashedProjectIds();
+
+  let reminded = 0;
+  for (const offset of await findOffsets()) {
+    reminded += await sendRemindersForOffset(offset, now, trashedProjectIds);
+  }
+  const overdue = await sendOverdueNotices(now, trashedProjectIds);
+
+  return { reminded, overdue };
+};
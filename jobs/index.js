@@ -0,0 +1,51 @@
+import { generateDueRecurrences } from './recurringTasks.js';
+import { purgeExpiredTrash } from './purgeTrash.js';
+import { retryStorageDeletions } from './retryStorageDeletions.js';
+import { sendDueDateReminders } from './dueDateReminders.js';
+import { sendNotificationDigests } from './notificationDigests.js';
+import { sendQueuedEmails } from './sendEmails.js';
+
+const MINUTE = 60 * 1000;
+const HOUR = 60 * MINUTE;
+
+// Background jobs run in-process on a fixed interval. Set JOBS_ENABLED=false
+// on all but one instance when running several servers.
+const jobs = [
+  { name: 'recurring-tasks', interval: 15 * MINUTE, run: generateDueRecurrences },
+  { name: 'purge-trash', interval: HOUR, run: purgeExpiredTrash },
+  { name: 'retry-storage-deletions', interval: 5 * MINUTE, run: retryStorageDeletions },
+  { name: 'due-date-reminders', interval: 15 * MINUTE, run: sendDueDateReminders },
+  { name: 'notification-digests', interval: 15 * MINUTE, run: sendNotificationDigests },
+  { name: 'send-emails', interval: MINUTE, run: sendQueuedEmails }
+];
+
+const schedule = ({ name, interval, run }) => {
+  let running = false;
+
+  const tick = async () => {
+    // Skip a tick instead of overlapping a slow run
+    if (running) return;
+    running = true;
+    try {
+      const result = await run();
+      if (result && Object.values(result).some(Boolean)) {
+        console.log(`[Jobs] ${name}:`, result);
+      }
+    } catch (error) {
+      console.error(`[Jobs] ${name} failed:`, error);
+    } finally {
+      running = false;
+    }
+  };
+
+  setTimeout(tick, 5000).unref();
+  setInterval(tick, interval).unref();
+};
+
+export const startJobs = () => {
+  if (process.env.JOBS_ENABLED === 'false') {
+    console.log('[Jobs] Background jobs disabled (JOBS_ENABLED=false)');
+    return;
+  }
+  jobs.forEach(schedule);
+};
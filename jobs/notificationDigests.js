@@ -0,0 +1,77 @@
+import Notification, { NOTIFICATION_TYPES } from '../models/Notification.js';
+import NotificationPreference, { DEFAULT_DELIVERY } from '../models/NotificationPreference.js';
+import User from '../models/User.js';
+import { sendNotificationDigestEmail } from '../utils/emailService.js';
+import { generateUnsubscribeToken } from '../utils/generateToken.js';
+
+const DAY = 24 * 60 * 60 * 1000;
+// Unread notifications older than this are left out of digests
+const MAX_DIGEST_AGE = 7 * DAY;
+
+// Today's digest time (DIGEST_HOUR, UTC, default 8)
+const digestTime = (now) => {
+  const time = new Date(now);
+  time.setUTCHours(parseInt(process.env.DIGEST_HOUR) || 8, 0, 0, 0);
+  return time;
+};
+
+// Once a day, email each user who chose "digest" for some notification types
+// a summary of their unread notifications of those types
+export const sendNotificationDigests = async () => {
+  const now = new Date();
+  const scheduledAt = digestTime(now);
+  if (now < scheduledAt) return { sent: 0 };
+
+  const preferences = await NotificationPreference.find({
+    $and: [
+      { $or: NOTIFICATION_TYPES.map(type => ({ [`events.${type}`]: 'digest' })) },
+      { $or: [{ lastDigestAt: null }, { lastDigestAt: { $lt: scheduledAt } }] }
+    ]
+  }).limit(200);
+
+  let sent = 0;
+  for (const preference of preferences) {
+    try {
+      // Claim today's digest so concurrent runs send it once
+      const claim = await NotificationPreference.updateOne(
+        { _id: preference._id, lastDigestAt: preference.lastDigestAt },
+        { lastDigestAt: now }
+      );
+      if (claim.modifiedCount === 0) continue;
+
+      const events = { ...DEFAULT_DELIVERY, ...preference.events.toObject() };
+      const digestTypes = NOTIFICATION_TYPES.filter(type => events[type] === 'digest');
+
+      const notifications = await Notification.find({
+        recipient: preference.user,
+        type: { $in: digestTypes },
+        readAt: null,
+        digestedAt: null,
+        createdAt: { $gt: new Date(now.getTime() - MAX_DIGEST_AGE) }
+      })
+        .sort({ createdAt: -1 })
+        .limit(50);
+      if (notifications.length === 0) continue;
+
+      const user = await User.findById(preference.user).select('name email locale');
+      if (!user) continue;
+
+      await sendNotificationDigestEmail(
+        user.email,
+        user.name,
+        notifications,
+        generateUnsubscribeToken(user._id),
+        user.locale
+      );
+      await Notification.updateMany(
+        { _id: { $in: notifications.map(notification => notification._id) } },
+        { digestedAt: now }
+      );
+      sent += 1;
+    } catch (error) {
+      console.error(`Error sending notification digest for user ${preference.user}:`, error);
+    }
+  }
+
+  return { sent };
+};
@@ -0,0 +1,42 @@
+import Task from '../models/Task.js';
+import Project from '../models/Project.js';
+import { getRetentionDays, purgeProject, purgeTask } from '../utils/trash.js';
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Permanently delete projects and tasks that stayed in the trash longer than
+// TRASH_RETENTION_DAYS, including their attachments in R2
+export const purgeExpiredTrash = async () => {
+  const cutoff = new Date(Date.now() - getRetentionDays() * DAY_MS);
+
+  const projects = await Project.find({ deletedAt: { $ne: null, $lte: cutoff } })
+    .setOptions({ withDeleted: true })
+    .limit(100);
+
+  let purgedProjects = 0;
+  for (const project of projects) {
+    try {
+      await purgeProject(project);
+      purgedProjects += 1;
+    } catch (error) {
+      console.error(`Error purging project ${project._id}:`, error);
+    }
+  }
+
+  // Subtasks trashed with a parent are purged together with it
+  const tasks = await Task.find({ deletedAt: { $ne: null, $lte: cutoff }, deletedWith: null })
+    .setOptions({ withDeleted: true })
+    .select('attachments deletedAt')
+    .limit(500);
+
+  let purgedTasks = 0;
+  for (const task of tasks) {
+    try {
+      purgedTasks += (await purgeTask(task)).tasks;
+    } catch (error) {
+      console.error(`Error purging task ${task._id}:`, error);
+    }
+  }
+
+  return { projects: purgedProjects, tasks: purgedTasks };
+};
@@ -0,0 +1,34 @@
+import Task from '../models/Task.js';
+import { createNextOccurrence } from '../utils/recurrence.js';
+import { emitToProject } from '../utils/realtime.js';
+import { findTrashedProjectIds } from '../utils/trash.js';
+
+// Recurring tasks whose due date passed without being completed still get
+// their next occurrence, so a missed chore doesn't stall the series. Ended
+// series and tasks of trashed projects are left out so they don't fill the
+// batch on every run.
+export const generateDueRecurrences = async () => {
+  const dueTasks = await Task.find({
+    'recurrence.frequency': { $exists: true },
+    nextOccurrence: null,
+    recurrenceEndedAt: null,
+    archivedAt: null,
+    project: { $nin: await findTrashedProjectIds() },
+    dueDate: { $lt: new Date() }
+  }).limit(500);
+
+  let created = 0;
+  for (const task of dueTasks) {
+    try {
+      const nextTask = await createNextOccurrence(task);
+      if (nextTask) {
+        created += 1;
+        emitToProject(nextTask.project, 'task.created', nextTask);
+      }
+    } catch (error) {
+      console.error(`Error creating next occurrence of task ${task._id}:`, error);
+    }
+  }
+
+  return { created };
+};
@@ -0,0 +1,12 @@
+import StorageDeletion from '../models/StorageDeletion.js';
+import { processStorageDeletions } from '../utils/storageCleanup.js';
+
+// Retry R2 deletions that failed (or were interrupted) after their documents
+// were deleted
+export const retryStorageDeletions = async () => {
+  const due = await StorageDeletion.find({ nextAttemptAt: { $ne: null, $lte: new Date() } })
+    .sort({ nextAttemptAt: 1 })
+    .limit(200);
+
+  return processStorageDeletions(due);
+};
@@ -0,0 +1,5 @@
+import { processEmailQueue } from '../utils/emailService.js';
+
+// Send queued emails whose first attempt failed (retried with backoff) or
+// was interrupted
+export const sendQueuedEmails = () => processEmailQueue();
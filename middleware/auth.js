@@ -1,7 +1,64 @@
 import jwt from 'jsonwebtoken';
 import User from '../models/User.js';
+import Session from '../models/Session.js';
+import Setting from '../models/Setting.js';
+import { ROLE_PERMISSIONS } from '../models/Project.js';
+
+// Resolve the user an access token was issued for (shared by HTTP and
+// WebSocket auth). Throws if the token is invalid, expired or its session was
+// revoked; returns null if the user is gone.
+export const getUserFromToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+  if (!decoded.sid) {
+    throw new Error('Token is not bound to a session');
+  }
+
+  const user = await User.findById(decoded.id).select('-password');
+  if (!user) return null;
+
+  const session = await Session.findOne({ _id: decoded.sid, user: user._id });
+  if (!session || decoded.tv !== user.tokenVersion || !session.isActive(user)) {
+    throw new Error('Session expired or revoked');
+  }
+
+  return user;
+};
+
+// Owner, member, or admin
+export const hasProjectAccess = (project, user) => {
+  const userId = user._id.toString();
+  return user.role === 'admin' ||
+    project.owner.toString() === userId ||
+    project.members.some(member => member.toString() === userId);
+};
+
+// Whether the user's project role grants a permission from ROLE_PERMISSIONS.
+// The project must be loaded with `owner`, `members` and `memberRoles`.
+export const hasProjectPermission = (project, user, permission) => {
+  if (user.role === 'admin') return true;
+  const role = project.getMemberRole(user._id);
+  return Boolean(role) && ROLE_PERMISSIONS[permission].includes(role);
+};
+
+// Project query matching every project the user can access (all for admins),
+// optionally limited to one workspace
+export const accessibleProjectsQuery = (user, workspaceId) => {
+  const scope = workspaceId ? { workspace: workspaceId } : {};
+  if (user.role === 'admin') return scope;
+  return { ...scope, $or: [{ owner: user._id }, { members: user._id }] };
+};
+
+// Admins without 2FA while the requireAdminTwoFactor setting is on
+const needsTwoFactorSetup = async (user) => {
+  if (user.role !== 'admin' || (user.twoFactor && user.twoFactor.enabled)) {
+    return false;
+  }
+  return Boolean(await Setting.getValue('requireAdminTwoFactor'));
+};
 
-export const protect = async (req, res, next) => {
+// Authentication middleware factory. Account routes pass
+// allowTwoFactorSetup so admins blocked by the 2FA policy can still enroll.
+export const authenticate = ({ allowTwoFactorSetup = false } = {}) => async (req, res, next) => {
   try {
     let token;
 
@@ -14,22 +71,31 @@ export const protect = async (req, res, next) => {
     }
 
     try {
-      const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      req.user = await User.findById(decoded.id).select('-password');
-      
-      if (!req.user) {
-        return res.status(401).json({ message: 'User not found' });
-      }
-      
-      next();
+      req.user = await getUserFromToken(token);
+      req.sessionId = jwt.decode(token).sid;
     } catch (error) {
       return res.status(401).json({ message: 'Not authorized, token failed' });
     }
+
+    if (!req.user) {
+      return res.status(401).json({ message: 'User not found' });
+    }
+
+    if (!allowTwoFactorSetup && await needsTwoFactorSetup(req.user)) {
+      return res.status(403).json({
+        message: 'Two-factor authentication is required for admin accounts. Please enable it to continue.',
+        code: 'TWO_FACTOR_REQUIRED'
+      });
+    }
+
+    next();
   } catch (error) {
     next(error);
   }
 };
 
+export const protect = authenticate();
+
 // Role-based access control middleware
 export const authorize = (...roles) => {
   return (req, res, next) => {
@@ -50,8 +116,9 @@ export const authorize = (...roles) => {
 // Check if user is admin
 export const isAdmin = authorize('admin');
 
-// Check project access (owner, member, or admin)
-export const checkProjectAccess = async (req, res, next) => {
+// Project access middleware factory (owner, member, or admin).
+// includeDeleted also loads projects in the trash, for restoring them.
+export const projectAccess = ({ includeDeleted = false } = {}) => async (req, res, next) => {
   try {
     const Project = (await import('../models/Project.js')).default;
     // Check for project ID in params (could be :id or :projectId) or body
@@ -66,7 +133,7 @@ export const checkProjectAccess = async (req, res, next) => {
       return res.status(400).json({ message: 'Invalid project ID format' });
     }
 
-    const project = await Project.findById(projectId);
+    const project = await Project.findById(projectId).setOptions({ withDeleted: includeDeleted });
     
     if (!project) {
       return res.status(404).json({ message: 'Project not found' });
@@ -77,11 +144,12 @@ export const checkProjectAccess = async (req, res, next) => {
     const isOwner = project.owner.toString() === req.user._id.toString();
     const isMember = project.members.some(member => member.toString() === req.user._id.toString());
 
-    if (!isAdmin && !isOwner && !isMember) {
+    if (!hasProjectAccess(project, req.user)) {
       return res.status(403).json({ message: 'Access denied. You are not a member of this project' });
     }
 
     req.project = project;
+    req.projectRole = project.getMemberRole(req.user._id);
     req.isProjectOwner = isOwner || isAdmin;
     req.isProjectMember = isMember || isOwner || isAdmin;
     next();
@@ -94,6 +162,45 @@ export const checkProjectAccess = async (req, res, next) => {
   }
 };
 
+// Check project access (owner, member, or admin)
+export const checkProjectAccess = projectAccess();
+
+// Middleware factory loading the task in :id and checking access to its
+// project. includeDeleted also loads tasks in the trash.
+export const taskAccess = ({ includeDeleted = false } = {}) => async (req, res, next) => {
+  try {
+    const Task = (await import('../models/Task.js')).default;
+    const Project = (await import('../models/Project.js')).default;
+
+    const task = await Task.findById(req.params.id).setOptions({ withDeleted: includeDeleted });
+    if (!task) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
+
+    const project = await Project.findById(task.project);
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    if (!hasProjectAccess(project, req.user)) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    req.task = task;
+    req.project = project;
+    req.projectRole = project.getMemberRole(req.user._id);
+    next();
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid task ID format' });
+    }
+    next(error);
+  }
+};
+
+// Load the task in :id and check access to its project
+export const checkTaskAccess = taskAccess();
+
 // Check if user is project owner or admin
 export const checkProjectOwner = async (req, res, next) => {
   try {
@@ -114,3 +221,19 @@ export const checkProjectOwner = async (req, res, next) => {
   }
 };
 
+// Require a project permission; runs after checkProjectAccess or checkTaskAccess
+export const requireProjectPermission = (permission) => {
+  return (req, res, next) => {
+    if (!req.project) {
+      return res.status(400).json({ message: 'Project not found in request' });
+    }
+
+    if (!hasProjectPermission(req.project, req.user, permission)) {
+      return res.status(403).json({
+        message: `Access denied. Your project role (${req.projectRole}) does not allow this action`
+      });
+    }
+
+    next();
+  };
+};
@@ -0,0 +1,45 @@
+import Workspace from '../models/Workspace.js';
+import { getDefaultWorkspace } from '../utils/workspaces.js';
+
+// Resolve the workspace a request works in: the X-Workspace-Id header if
+// given, else the user's current workspace. Sets req.workspace and
+// req.workspaceRole. Runs after protect.
+export const resolveWorkspace = async (req, res, next) => {
+  try {
+    const workspaceId = req.headers['x-workspace-id'];
+
+    if (!workspaceId) {
+      req.workspace = await getDefaultWorkspace(req.user);
+      req.workspaceRole = req.workspace.getMemberRole(req.user._id);
+      return next();
+    }
+
+    if (!String(workspaceId).match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid workspace ID format' });
+    }
+
+    const workspace = await Workspace.findById(workspaceId);
+    if (!workspace) {
+      return res.status(404).json({ message: 'Workspace not found' });
+    }
+
+    const role = workspace.getMemberRole(req.user._id);
+    if (!role && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. You are not a member of this workspace' });
+    }
+
+    req.workspace = workspace;
+    req.workspaceRole = role;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+// Workspace admins (and site admins); runs after resolveWorkspace
+export const requireWorkspaceAdmin = (req, res, next) => {
+  if (req.user.role !== 'admin' && req.workspaceRole !== 'admin') {
+    return res.status(403).json({ message: 'Access denied. Workspace admin only' });
+  }
+  next();
+};
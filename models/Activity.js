@@ -3,7 +3,7 @@ import mongoose from 'mongoose';
 const activitySchema = new mongoose.Schema({
   type: {
     type: String,
-    enum: ['task_created', 'task_updated', 'task_deleted', 'task_assigned', 'task_unassigned', 'task_status_changed', 'comment_added', 'member_added', 'member_removed'],
+    enum: ['task_created', 'task_updated', 'task_deleted', 'task_archived', 'task_unarchived', 'task_restored', 'task_assigned', 'task_unassigned', 'task_status_changed', 'task_moved', 'checklist_item_completed', 'subtask_completed', 'dependency_added', 'dependency_removed', 'task_labels_changed', 'comment_added', 'member_added', 'member_removed', 'member_role_changed', 'member_invited', 'member_left', 'ownership_transferred', 'project_archived', 'project_unarchived', 'project_deleted', 'project_restored'],
     required: true
   },
   description: {
@@ -0,0 +1,82 @@
+import mongoose from 'mongoose';
+
+// Sent emails are kept this long for troubleshooting, failed ones longer
+const SENT_RETENTION_DAYS = 7;
+const FAILED_RETENTION_DAYS = 30;
+
+const DAY_SECONDS = 24 * 60 * 60;
+
+// An email waiting to be sent. Emails are queued instead of sent inline so a
+// slow or failing provider never blocks a request; failed sends are retried
+// with backoff by a background job (see utils/emailService.js). The email is
+// rendered at send time; links carrying tokens (password reset, verification,
+// invitations, unsubscribe) are stored encrypted and all template values are
+// cleared once the job is sent or given up.
+const emailJobSchema = new mongoose.Schema({
+  to: {
+    type: String,
+    required: true
+  },
+  // Template name (see utils/emailTemplates.js)
+  template: {
+    type: String,
+    required: true
+  },
+  locale: {
+    type: String,
+    default: null
+  },
+  // Template values without secrets
+  data: {
+    type: mongoose.Schema.Types.Mixed,
+    default: null
+  },
+  // Encrypted JSON of the template values that carry tokens
+  secrets: {
+    type: String,
+    default: null
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'sending', 'sent', 'failed'],
+    default: 'pending'
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  // null once the email was sent or retries are exhausted
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  },
+  // When a sender claimed the job; stale claims are picked up again
+  claimedAt: {
+    type: Date,
+    default: null
+  },
+  messageId: {
+    type: String,
+    default: null
+  },
+  sentAt: {
+    type: Date,
+    default: null
+  },
+  failedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+emailJobSchema.index({ status: 1, nextAttemptAt: 1 });
+emailJobSchema.index({ sentAt: 1 }, { expireAfterSeconds: SENT_RETENTION_DAYS * DAY_SECONDS });
+emailJobSchema.index({ failedAt: 1 }, { expireAfterSeconds: FAILED_RETENTION_DAYS * DAY_SECONDS });
+
+export default mongoose.model('EmailJob', emailJobSchema);
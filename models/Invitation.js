@@ -0,0 +1,61 @@
+import mongoose from 'mongoose';
+import { PROJECT_ROLES, DEFAULT_MEMBER_ROLE } from './Project.js';
+
+export const INVITATION_TTL_DAYS = 7;
+
+// Invitation to join a project, addressed to an email that may not have an
+// account yet. The emailed token is a signed JWT naming this document.
+const invitationSchema = new mongoose.Schema({
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  },
+  email: {
+    type: String,
+    required: [true, 'Email is required'],
+    lowercase: true,
+    trim: true,
+    match: [/^\S+@\S+\.\S+$/, 'Please provide a valid email']
+  },
+  role: {
+    type: String,
+    enum: PROJECT_ROLES,
+    default: DEFAULT_MEMBER_ROLE
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  status: {
+    type: String,
+    enum: ['pending', 'accepted', 'declined', 'revoked'],
+    default: 'pending'
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  respondedAt: {
+    type: Date,
+    default: null
+  },
+  // User who accepted
+  acceptedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+invitationSchema.index({ project: 1, status: 1 });
+invitationSchema.index({ email: 1, status: 1 });
+
+invitationSchema.methods.isPending = function() {
+  return this.status === 'pending' && this.expiresAt > new Date();
+};
+
+export default mongoose.model('Invitation', invitationSchema);
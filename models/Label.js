@@ -0,0 +1,26 @@
+import mongoose from 'mongoose';
+
+const labelSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Label name is required'],
+    trim: true
+  },
+  color: {
+    type: String,
+    default: '#6B7280'
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    required: true
+  }
+}, {
+  timestamps: true
+});
+
+// Names are unique per project regardless of case, matching the lookups in
+// routes/projects.js
+labelSchema.index({ project: 1, name: 1 }, { unique: true, collation: { locale: 'en', strength: 2 } });
+
+export default mongoose.model('Label', labelSchema);
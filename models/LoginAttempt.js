@@ -0,0 +1,50 @@
+import mongoose from 'mongoose';
+
+const HISTORY_DAYS = parseInt(process.env.LOGIN_HISTORY_DAYS) || 90;
+
+// One authentication attempt (login, 2FA step or registration), kept as an
+// audit trail and for per-IP rate limiting
+const loginAttemptSchema = new mongoose.Schema({
+  // Null when the email didn't match an account
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  email: {
+    type: String,
+    lowercase: true,
+    trim: true,
+    default: ''
+  },
+  type: {
+    type: String,
+    enum: ['login', 'two_factor', 'register'],
+    required: true
+  },
+  success: {
+    type: Boolean,
+    required: true
+  },
+  reason: {
+    type: String,
+    enum: ['invalid_credentials', 'invalid_code', 'account_locked', 'ip_blocked', 'email_taken', null],
+    default: null
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  }
+}, {
+  timestamps: { createdAt: true, updatedAt: false }
+});
+
+loginAttemptSchema.index({ user: 1, createdAt: -1 });
+loginAttemptSchema.index({ ip: 1, type: 1, createdAt: -1 });
+loginAttemptSchema.index({ createdAt: 1 }, { expireAfterSeconds: HISTORY_DAYS * 24 * 60 * 60 });
+
+export default mongoose.model('LoginAttempt', loginAttemptSchema);
@@ -0,0 +1,75 @@
+import mongoose from 'mongoose';
+
+export const NOTIFICATION_TYPES = [
+  'task_assigned',
+  'mentioned',
+  'comment_added',
+  'task_due_soon',
+  'task_overdue',
+  'member_added',
+  'member_removed',
+  'member_role_changed',
+  'ownership_transferred',
+  'invitation_received'
+];
+
+// Read notifications older than this are removed automatically
+const RETENTION_DAYS = parseInt(process.env.NOTIFICATION_RETENTION_DAYS) || 90;
+
+const notificationSchema = new mongoose.Schema({
+  recipient: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  type: {
+    type: String,
+    enum: NOTIFICATION_TYPES,
+    required: true
+  },
+  message: {
+    type: String,
+    required: true
+  },
+  // User who caused the notification (none for reminders)
+  actor: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    default: null
+  },
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project',
+    default: null
+  },
+  task: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  comment: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Comment',
+    default: null
+  },
+  readAt: {
+    type: Date,
+    default: null
+  },
+  // When the notification went out in a digest email
+  digestedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+notificationSchema.index({ recipient: 1, createdAt: -1 });
+notificationSchema.index({ recipient: 1, readAt: 1 });
+notificationSchema.index(
+  { readAt: 1 },
+  { expireAfterSeconds: RETENTION_DAYS * 24 * 60 * 60 }
+);
+
+export default mongoose.model('Notification', notificationSchema);
@@ -0,0 +1,58 @@
+import mongoose from 'mongoose';
+import { NOTIFICATION_TYPES } from './Notification.js';
+
+// How a user receives one type of notification:
+// in_app - notification center only
+// email - notification center and an immediate email
+// digest - notification center and the daily digest email
+// off - not at all
+export const DELIVERY_OPTIONS = ['in_app', 'email', 'digest', 'off'];
+
+// Delivery for users who never changed their preferences
+export const DEFAULT_DELIVERY = {
+  ...Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, 'in_app'])),
+  // Assignments were always emailed right away
+  task_assigned: 'email'
+};
+
+const eventsSchema = new mongoose.Schema(
+  Object.fromEntries(NOTIFICATION_TYPES.map(type => [type, {
+    type: String,
+    enum: DELIVERY_OPTIONS,
+    default: DEFAULT_DELIVERY[type]
+  }])),
+  { _id: false }
+);
+
+const notificationPreferenceSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true,
+    unique: true
+  },
+  events: {
+    type: eventsSchema,
+    default: () => ({})
+  },
+  // When the last digest email was sent
+  lastDigestAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+// Delivery option of every notification type for each user, defaults filled in
+// @returns {Promise<Map<string, Object>>} user ID -> { [type]: option }
+notificationPreferenceSchema.statics.getForUsers = async function(userIds) {
+  const preferences = await this.find({ user: { $in: userIds } });
+  const byUser = new Map(userIds.map(id => [id.toString(), { ...DEFAULT_DELIVERY }]));
+  for (const preference of preferences) {
+    byUser.set(preference.user.toString(), { ...DEFAULT_DELIVERY, ...preference.events.toObject() });
+  }
+  return byUser;
+};
+
+export default mongoose.model('NotificationPreference', notificationPreferenceSchema);
@@ -1,5 +1,61 @@
 import mongoose from 'mongoose';
 
+// Columns every project starts with; also used to migrate pre-existing projects
+export const DEFAULT_COLUMNS = [
+  { name: 'To Do', isDone: false },
+  { name: 'In Progress', isDone: false },
+  { name: 'Done', isDone: true }
+];
+
+// Hours before a task's due date its assignees are reminded, by default
+// a day ahead and once more on the due day
+export const DEFAULT_REMINDER_OFFSETS = [24, 1];
+export const MAX_REMINDER_OFFSETS = 5;
+// Longest lead time a reminder can have (two weeks)
+export const MAX_REMINDER_HOURS = 14 * 24;
+
+// Roles a member can hold on a project. The owner's role is implicit.
+export const PROJECT_ROLES = ['admin', 'editor', 'commenter', 'viewer'];
+// Role of members without an explicit entry in memberRoles
+export const DEFAULT_MEMBER_ROLE = 'editor';
+
+// Which project roles grant each permission. Site admins have them all.
+export const ROLE_PERMISSIONS = {
+  'project:view': ['owner', 'admin', 'editor', 'commenter', 'viewer'],
+  'project:update': ['owner', 'admin'],
+  'project:delete': ['owner'],
+  'members:manage': ['owner', 'admin'],
+  'tasks:edit': ['owner', 'admin', 'editor'],
+  'comments:create': ['owner', 'admin', 'editor', 'commenter'],
+  'comments:moderate': ['owner', 'admin'],
+  'attachments:manage': ['owner', 'admin', 'editor']
+};
+
+const memberRoleSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: PROJECT_ROLES,
+    default: DEFAULT_MEMBER_ROLE
+  }
+}, { _id: false });
+
+const columnSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Column name is required'],
+    trim: true
+  },
+  isDone: {
+    type: Boolean,
+    default: false
+  }
+});
+
 const projectSchema = new mongoose.Schema({
   name: {
     type: String,
@@ -11,6 +67,11 @@ const projectSchema = new mongoose.Schema({
     trim: true,
     default: ''
   },
+  workspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    index: true
+  },
   owner: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -20,15 +81,110 @@ const projectSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
   }],
+  // Role of each member; `members` stays the source of truth for membership
+  memberRoles: {
+    type: [memberRoleSchema],
+    default: []
+  },
   color: {
     type: String,
     default: '#3B82F6'
+  },
+  // Ordered workflow columns; a task's status is the name of one of these
+  columns: {
+    type: [columnSchema],
+    default: () => DEFAULT_COLUMNS.map(column => ({ ...column }))
+  },
+  // Due date reminders sent by the background scheduler (jobs/dueDateReminders.js)
+  dueReminders: {
+    offsets: {
+      type: [Number],
+      default: () => [...DEFAULT_REMINDER_OFFSETS]
+    },
+    // Tell assignees and the owner once an open task is past its due date
+    overdue: {
+      type: Boolean,
+      default: true
+    }
+  },
+  // Archived projects are hidden from default listings but stay readable
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set while the project is in the trash (see utils/trash.js)
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
   }
 }, {
   timestamps: true
 });
 
 projectSchema.index({ owner: 1, members: 1 });
+projectSchema.index({ deletedAt: 1 });
 
-export default mongoose.model('Project', projectSchema);
+// Trashed projects are invisible to queries unless they opt in with
+// .setOptions({ withDeleted: true })
+projectSchema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'], function() {
+  if (!this.getOptions().withDeleted) {
+    this.where({ deletedAt: null });
+  }
+});
+
+// 'owner', a PROJECT_ROLES entry, or null for non-members
+projectSchema.methods.getMemberRole = function(userId) {
+  const id = (userId?._id || userId).toString();
+  if (this.owner.toString() === id) return 'owner';
+  if (!this.members.some(member => member.toString() === id)) return null;
+  const entry = this.memberRoles.find(memberRole => memberRole.user.toString() === id);
+  return entry ? entry.role : DEFAULT_MEMBER_ROLE;
+};
+
+projectSchema.methods.setMemberRole = function(userId, role) {
+  const id = (userId?._id || userId).toString();
+  const entry = this.memberRoles.find(memberRole => memberRole.user.toString() === id);
+  if (entry) {
+    entry.role = role;
+  } else {
+    this.memberRoles.push({ user: userId, role });
+  }
+};
+
+projectSchema.methods.removeMemberRole = function(userId) {
+  const id = (userId?._id || userId).toString();
+  this.memberRoles = this.memberRoles.filter(memberRole => memberRole.user.toString() !== id);
+};
+
+projectSchema.methods.hasColumn = function(name) {
+  return this.columns.some(column => column.name === name);
+};
 
+projectSchema.methods.findColumnByName = function(name) {
+  if (typeof name !== 'string') return null;
+  const normalized = name.trim().toLowerCase();
+  return this.columns.find(column => column.name.toLowerCase() === normalized) || null;
+};
+
+// Status new tasks start in
+projectSchema.methods.getDefaultStatus = function() {
+  return this.columns.length > 0 ? this.columns[0].name : DEFAULT_COLUMNS[0].name;
+};
+
+projectSchema.methods.getDoneStatuses = function() {
+  return this.columns.filter(column => column.isDone).map(column => column.name);
+};
+
+projectSchema.methods.isDoneStatus = function(status) {
+  return this.getDoneStatuses().includes(status);
+};
+
+export default mongoose.model('Project', projectSchema);
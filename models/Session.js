@@ -0,0 +1,60 @@
+import mongoose from 'mongoose';
+
+// A signed-in device. Access tokens carry the session ID, so revoking the
+// session invalidates them; the refresh token rotates on every use.
+const sessionSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  refreshTokenHash: {
+    type: String,
+    required: true
+  },
+  // Hash of the refresh token replaced by the last rotation; presenting it
+  // again means the token leaked, and the session is revoked
+  previousTokenHash: {
+    type: String,
+    default: null
+  },
+  // User.tokenVersion when the session was created
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  userAgent: {
+    type: String,
+    default: ''
+  },
+  ip: {
+    type: String,
+    default: ''
+  },
+  lastUsedAt: {
+    type: Date,
+    default: Date.now
+  },
+  expiresAt: {
+    type: Date,
+    required: true
+  },
+  revokedAt: {
+    type: Date,
+    default: null
+  }
+}, {
+  timestamps: true
+});
+
+sessionSchema.index({ user: 1, revokedAt: 1 });
+// Expired sessions are removed by MongoDB
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function(user) {
+  return !this.revokedAt &&
+    this.expiresAt > new Date() &&
+    this.tokenVersion === user.tokenVersion;
+};
+
+export default mongoose.model('Session', sessionSchema);
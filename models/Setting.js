@@ -0,0 +1,43 @@
+import mongoose from 'mongoose';
+
+// Admin-configurable settings and their defaults
+export const SETTING_DEFAULTS = {
+  // Admins must enable two-factor authentication before using admin features
+  requireAdminTwoFactor: false
+};
+
+const settingSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true,
+    unique: true,
+    enum: Object.keys(SETTING_DEFAULTS)
+  },
+  value: {
+    type: mongoose.Schema.Types.Mixed
+  },
+  updatedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }
+}, {
+  timestamps: true
+});
+
+// Stored value of a setting, or its default
+settingSchema.statics.getValue = async function(key) {
+  const setting = await this.findOne({ key });
+  return setting ? setting.value : SETTING_DEFAULTS[key];
+};
+
+// Every setting, with defaults filled in
+settingSchema.statics.getAll = async function() {
+  const settings = await this.find();
+  const values = { ...SETTING_DEFAULTS };
+  for (const setting of settings) {
+    values[setting.key] = setting.value;
+  }
+  return values;
+};
+
+export default mongoose.model('Setting', settingSchema);
@@ -0,0 +1,30 @@
+import mongoose from 'mongoose';
+
+// Object in R2 that must be deleted. Recorded before (or in the same
+// transaction as) the documents that referenced it, and removed once the
+// object is gone; failed deletions are retried by a background job.
+const storageDeletionSchema = new mongoose.Schema({
+  key: {
+    type: String,
+    required: true
+  },
+  attempts: {
+    type: Number,
+    default: 0
+  },
+  lastError: {
+    type: String,
+    default: null
+  },
+  // null once retries are exhausted
+  nextAttemptAt: {
+    type: Date,
+    default: Date.now
+  }
+}, {
+  timestamps: true
+});
+
+storageDeletionSchema.index({ nextAttemptAt: 1 });
+
+export default mongoose.model('StorageDeletion', storageDeletionSchema);
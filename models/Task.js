@@ -11,9 +11,10 @@ const taskSchema = new mongoose.Schema({
     trim: true,
     default: ''
   },
+  // Name of one of the project's workflow columns (validated in routes)
   status: {
     type: String,
-    enum: ['To Do', 'In Progress', 'Done'],
+    trim: true,
     default: 'To Do'
   },
   priority: {
@@ -29,10 +30,15 @@ const taskSchema = new mongoose.Schema({
     ref: 'Project',
     required: true
   },
-  assignee: {
+  assignees: [{
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User'
-  },
+  }],
+  // Notified about the task without owning it
+  watchers: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  }],
   createdBy: {
     type: mongoose.Schema.Types.ObjectId,
     ref: 'User',
@@ -49,16 +55,170 @@ const taskSchema = new mongoose.Schema({
       default: Date.now
     }
   }],
+  // Parent task when this task is a subtask
+  parent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  // Order among the parent's subtasks
+  subtaskOrder: {
+    type: Number,
+    default: 0
+  },
+  labels: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Label'
+  }],
+  // Tasks that must be done before this one ("blocked by"); the reverse
+  // "blocks" direction is found by querying this field
+  blockedBy: [{
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  }],
+  checklist: [{
+    text: {
+      type: String,
+      required: [true, 'Checklist item text is required'],
+      trim: true
+    },
+    done: {
+      type: Boolean,
+      default: false
+    },
+    assignee: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User',
+      default: null
+    },
+    order: {
+      type: Number,
+      default: 0
+    },
+    completedAt: Date,
+    completedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    }
+  }],
+  // Repeat rule; completing the task (or its due date passing) creates the
+  // next occurrence (see utils/recurrence.js)
+  recurrence: {
+    type: new mongoose.Schema({
+      frequency: {
+        type: String,
+        enum: ['daily', 'weekly', 'monthly', 'custom'],
+        required: true
+      },
+      interval: {
+        type: Number,
+        default: 1,
+        min: 1
+      },
+      weekdays: [{
+        type: Number,
+        min: 0,
+        max: 6
+      }],
+      dayOfMonth: {
+        type: Number,
+        min: 1,
+        max: 31
+      },
+      // Unit of `interval` for custom rules
+      unit: {
+        type: String,
+        enum: ['day', 'week', 'month'],
+        default: 'day'
+      },
+      endDate: Date,
+      // Total number of occurrences in the series
+      count: Number,
+      // 1-based index of this task within the series
+      occurrence: {
+        type: Number,
+        default: 1
+      }
+    }, { _id: false }),
+    default: null
+  },
+  // First task of the recurring series this task belongs to
+  recurrenceSeries: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task'
+  },
+  // Set once the next occurrence has been generated
+  nextOccurrence: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
+  },
+  // Set when the series ended with this task (count or endDate reached)
+  recurrenceEndedAt: {
+    type: Date,
+    default: null
+  },
+  // Reminder offsets (hours, see Project dueReminders) already handled for
+  // the current due date
+  remindedOffsets: {
+    type: [Number],
+    default: []
+  },
+  // When assignees and the project owner were told the task is overdue
+  overdueNoticeSentAt: {
+    type: Date,
+    default: null
+  },
+  // Fractional rank within the status column (see utils/ranking.js)
   position: {
     type: Number,
     default: 0
+  },
+  // Archived tasks are hidden from default listings but stay readable
+  archivedAt: {
+    type: Date,
+    default: null
+  },
+  archivedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Set while the task is in the trash (see utils/trash.js)
+  deletedAt: {
+    type: Date,
+    default: null
+  },
+  deletedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  // Task whose deletion trashed this subtask; restored and purged with it
+  deletedWith: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Task',
+    default: null
   }
 }, {
   timestamps: true
 });
 
-taskSchema.index({ project: 1, status: 1 });
-taskSchema.index({ assignee: 1 });
+// Trashed tasks are invisible to queries unless they opt in with
+// .setOptions({ withDeleted: true })
+taskSchema.pre(['find', 'findOne', 'findOneAndUpdate', 'countDocuments', 'distinct'], function() {
+  if (!this.getOptions().withDeleted) {
+    this.where({ deletedAt: null });
+  }
+});
+
+taskSchema.index({ project: 1, status: 1, position: 1 });
+taskSchema.index({ assignees: 1 });
+taskSchema.index({ watchers: 1 });
+taskSchema.index({ parent: 1, subtaskOrder: 1 });
+taskSchema.index({ blockedBy: 1 });
+taskSchema.index({ labels: 1 });
+taskSchema.index({ 'recurrence.frequency': 1, nextOccurrence: 1, dueDate: 1 });
+taskSchema.index({ deletedAt: 1 });
+taskSchema.index({ dueDate: 1 });
 
 export default mongoose.model('Task', taskSchema);
 
@@ -1,5 +1,14 @@
 import mongoose from 'mongoose';
 import bcrypt from 'bcryptjs';
+import crypto from 'crypto';
+
+const PASSWORD_RESET_TTL = 60 * 60 * 1000; // 1 hour
+const EMAIL_VERIFICATION_TTL = 24 * 60 * 60 * 1000; // 24 hours
+
+// Languages emails can be sent in (see utils/emailMessages.js)
+export const LOCALES = ['en', 'de'];
+
+export const hashToken = (token) => crypto.createHash('sha256').update(token).digest('hex');
 
 const userSchema = new mongoose.Schema({
   name: {
@@ -24,28 +33,133 @@ const userSchema = new mongoose.Schema({
     type: String,
     default: ''
   },
+  // Resized copies of an uploaded avatar; `avatar` points at the medium one
+  avatarSizes: {
+    small: String,
+    medium: String,
+    large: String
+  },
+  // R2 keys of the uploaded avatar files, for cleanup on replace/remove
+  avatarKeys: {
+    type: [String],
+    default: []
+  },
   role: {
     type: String,
     enum: ['user', 'admin'],
     default: 'user'
+  },
+  // Language of the emails the user receives
+  locale: {
+    type: String,
+    enum: LOCALES,
+    default: 'en'
+  },
+  // Workspace used when a request doesn't name one (X-Workspace-Id)
+  currentWorkspace: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Workspace',
+    default: null
+  },
+  // Embedded in access tokens; bumping it invalidates every issued token
+  tokenVersion: {
+    type: Number,
+    default: 0
+  },
+  emailVerified: {
+    type: Boolean,
+    default: false
+  },
+  // Only hashes of single-use tokens are stored
+  emailVerificationTokenHash: String,
+  emailVerificationExpires: Date,
+  emailVerificationSentAt: Date,
+  passwordResetTokenHash: String,
+  passwordResetExpires: Date,
+  // Consecutive failed logins; reset by a successful login or an admin unlock
+  failedLoginAttempts: {
+    type: Number,
+    default: 0
+  },
+  lockUntil: {
+    type: Date,
+    default: null
+  },
+  // TOTP secrets are stored encrypted, recovery codes as hashes
+  twoFactor: {
+    enabled: {
+      type: Boolean,
+      default: false
+    },
+    secret: String,
+    pendingSecret: String,
+    recoveryCodeHashes: {
+      type: [String],
+      default: []
+    },
+    // Time step of the last accepted code, so a code can't be replayed
+    lastUsedStep: Number,
+    enabledAt: Date
   }
 }, {
   timestamps: true
 });
 
+userSchema.index({ passwordResetTokenHash: 1 }, { sparse: true });
+userSchema.index({ emailVerificationTokenHash: 1 }, { sparse: true });
+
+// Changing credentials or privileges logs the user out everywhere
+userSchema.pre('save', function(next) {
+  if (!this.isNew && (this.isModified('password') || this.isModified('role'))) {
+    this.tokenVersion += 1;
+  }
+  next();
+});
+
 userSchema.pre('save', async function(next) {
   if (!this.isModified('password')) return next();
   this.password = await bcrypt.hash(this.password, 12);
   next();
 });
 
+userSchema.methods.isLocked = function() {
+  return Boolean(this.lockUntil && this.lockUntil > new Date());
+};
+
 userSchema.methods.comparePassword = async function(candidatePassword) {
   return await bcrypt.compare(candidatePassword, this.password);
 };
 
+// Returns the raw token to email; only its hash is kept on the user
+userSchema.methods.createPasswordResetToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.passwordResetTokenHash = hashToken(token);
+  this.passwordResetExpires = new Date(Date.now() + PASSWORD_RESET_TTL);
+  return token;
+};
+
+userSchema.methods.createEmailVerificationToken = function() {
+  const token = crypto.randomBytes(32).toString('hex');
+  this.emailVerificationTokenHash = hashToken(token);
+  this.emailVerificationExpires = new Date(Date.now() + EMAIL_VERIFICATION_TTL);
+  this.emailVerificationSentAt = new Date();
+  return token;
+};
+
 userSchema.methods.toJSON = function() {
   const obj = this.toObject();
   delete obj.password;
+  delete obj.tokenVersion;
+  delete obj.avatarKeys;
+  delete obj.emailVerificationTokenHash;
+  delete obj.emailVerificationExpires;
+  delete obj.emailVerificationSentAt;
+  delete obj.passwordResetTokenHash;
+  delete obj.passwordResetExpires;
+  obj.twoFactor = {
+    enabled: Boolean(obj.twoFactor && obj.twoFactor.enabled),
+    enabledAt: obj.twoFactor ? obj.twoFactor.enabledAt : undefined
+  };
   return obj;
 };
 
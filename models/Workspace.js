@@ -0,0 +1,66 @@
+import mongoose from 'mongoose';
+
+export const WORKSPACE_ROLES = ['admin', 'member'];
+
+const workspaceMemberSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  role: {
+    type: String,
+    enum: WORKSPACE_ROLES,
+    default: 'member'
+  },
+  joinedAt: {
+    type: Date,
+    default: Date.now
+  }
+}, { _id: false });
+
+// Organization that owns projects. Users only see other members and the
+// projects of the workspace they are working in.
+const workspaceSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Workspace name is required'],
+    trim: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  members: {
+    type: [workspaceMemberSchema],
+    default: []
+  }
+}, {
+  timestamps: true
+});
+
+workspaceSchema.index({ 'members.user': 1 });
+
+// 'admin', 'member', or null for non-members
+workspaceSchema.methods.getMemberRole = function(userId) {
+  const id = (userId?._id || userId).toString();
+  const member = this.members.find(entry => entry.user.toString() === id);
+  return member ? member.role : null;
+};
+
+workspaceSchema.methods.isAdmin = function(userId) {
+  return this.getMemberRole(userId) === 'admin';
+};
+
+workspaceSchema.methods.addMember = function(userId, role = 'member') {
+  if (this.getMemberRole(userId)) return false;
+  this.members.push({ user: userId, role });
+  return true;
+};
+
+workspaceSchema.methods.getMemberIds = function() {
+  return this.members.map(member => member.user);
+};
+
+export default mongoose.model('Workspace', workspaceSchema);
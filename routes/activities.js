@@ -1,6 +1,7 @@
 import express from 'express';
 import Activity from '../models/Activity.js';
 import { protect } from '../middleware/auth.js';
+import { paginate, parseLimit } from '../utils/pagination.js';
 
 const router = express.Router();
 
@@ -8,7 +9,7 @@ const router = express.Router();
 router.use(protect);
 
 // @route   GET /api/activities/project/:projectId
-// @desc    Get all activities for a project
+// @desc    Get activities for a project, newest first (cursor-paginated: limit, cursor)
 // @access  Private
 router.get('/project/:projectId', async (req, res, next) => {
   try {
@@ -27,13 +28,16 @@ router.get('/project/:projectId', async (req, res, next) => {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    const activities = await Activity.find({ project: req.params.projectId })
-      .populate('user', 'name email avatar')
-      .populate('task', 'title')
-      .sort({ createdAt: -1 })
-      .limit(50);
+    const page = await paginate(Activity, { project: req.params.projectId }, {
+      sort: { createdAt: -1 },
+      limit: parseLimit(req.query.limit),
+      cursor: req.query.cursor,
+      populate: (activityQuery) => activityQuery
+        .populate('user', 'name email avatar')
+        .populate('task', 'title')
+    });
 
-    res.json(activities);
+    res.json(page);
   } catch (error) {
     next(error);
   }
@@ -1,13 +1,97 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import User from '../models/User.js';
-import { generateToken } from '../utils/generateToken.js';
-import { protect } from '../middleware/auth.js';
+import multer from 'multer';
+import User, { hashToken, LOCALES } from '../models/User.js';
+import Session from '../models/Session.js';
+import LoginAttempt from '../models/LoginAttempt.js';
+import { authenticate } from '../middleware/auth.js';
+import {
+  createSession,
+  rotateSession,
+  revokeSessionByRefreshToken,
+  revokeAllSessions
+} from '../utils/sessions.js';
+import { closeSessionSockets } from '../utils/realtime.js';
+import {
+  generateTwoFactorChallenge,
+  verifyTwoFactorChallenge
+} from '../utils/generateToken.js';
+import {
+  generateSecret,
+  buildOtpauthUri,
+  verifyTotp,
+  encryptSecret,
+  decryptSecret,
+  generateRecoveryCodes,
+  verifySecondFactor
+} from '../utils/twoFactor.js';
+import Setting from '../models/Setting.js';
+import {
+  recordLoginAttempt,
+  getIpRetryAfter,
+  getAccountRetryAfter,
+  registerFailedLogin,
+  clearFailedLogins,
+  sendTooManyAttempts
+} from '../utils/loginProtection.js';
+import { paginate, parseLimit } from '../utils/pagination.js';
+import { findInvitationByToken, acceptInvitation } from '../utils/invitations.js';
+import { sendPasswordResetEmail, sendVerificationEmail } from '../utils/emailService.js';
+import {
+  uploadAvatar,
+  deleteAvatar,
+  isReadableImage,
+  MAX_AVATAR_BYTES
+} from '../utils/avatar.js';
+
+// Minimum time between two verification emails to the same user
+const VERIFICATION_RESEND_INTERVAL = 60 * 1000;
 
 const router = express.Router();
 
+// Account routes stay reachable for admins who still have to set up 2FA
+const protectAccount = authenticate({ allowTwoFactorSetup: true });
+
+// Avatars are resized in memory before going to R2
+const avatarUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_AVATAR_BYTES },
+  fileFilter: (req, file, cb) => {
+    if (/^image\/(jpeg|png|gif|webp)$/.test(file.mimetype)) {
+      cb(null, true);
+    } else {
+      cb(new Error('Invalid file type. Avatars must be JPEG, PNG, GIF or WebP images.'));
+    }
+  }
+}).single('avatar');
+
+// User fields returned by the auth endpoints
+const toAuthUser = (user) => ({
+  id: user._id,
+  name: user.name,
+  email: user.email,
+  avatar: user.avatar,
+  avatarSizes: user.avatarSizes,
+  role: user.role,
+  emailVerified: user.emailVerified,
+  locale: user.locale,
+  twoFactorEnabled: Boolean(user.twoFactor && user.twoFactor.enabled)
+});
+
+// Email a fresh verification link without delaying the response
+const sendVerification = async (user) => {
+  const token = user.createEmailVerificationToken();
+  await user.save({ validateModifiedOnly: true });
+
+  setImmediate(() => {
+    sendVerificationEmail(user.email, user.name, token, user.locale).catch((error) =>
+      console.error('Error sending verification email:', error)
+    );
+  });
+};
+
 // @route   POST /api/auth/register
-// @desc    Register a new user
+// @desc    Register a new user (optional invitationToken joins the invited project)
 // @access  Public
 router.post('/register', [
   body('name').trim().notEmpty().withMessage('Name is required'),
@@ -20,25 +104,45 @@ router.post('/register', [
       return res.status(400).json({ message: errors.array()[0].msg });
     }
 
-    const { name, email, password } = req.body;
+    const { name, email, password, invitationToken } = req.body;
+
+    const ipRetryAfter = await getIpRetryAfter(req, 'register');
+    if (ipRetryAfter) {
+      return sendTooManyAttempts(res, ipRetryAfter, 'Too many registrations from this address. Please try again later.');
+    }
 
     const existingUser = await User.findOne({ email });
     if (existingUser) {
+      await recordLoginAttempt(req, { email, type: 'register', success: false, reason: 'email_taken' });
       return res.status(400).json({ message: 'User already exists with this email' });
     }
 
-    const user = await User.create({ name, email, password });
-    const token = generateToken(user._id);
+    let invitation = null;
+    if (invitationToken) {
+      invitation = await findInvitationByToken(invitationToken);
+      if (!invitation || !invitation.isPending() || invitation.email !== email.toLowerCase().trim()) {
+        return res.status(400).json({ message: 'Invalid or expired invitation' });
+      }
+    }
+
+    // An invitation link proves control of the mailbox
+    const user = await User.create({ name, email, password, emailVerified: Boolean(invitation) });
+    await recordLoginAttempt(req, { user, email, type: 'register', success: true });
+
+    let project = null;
+    if (invitation) {
+      project = await acceptInvitation(invitation, user);
+    } else {
+      await sendVerification(user);
+    }
+
+    const { token, refreshToken } = await createSession(user, req);
 
     res.status(201).json({
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        avatar: user.avatar,
-        role: user.role
-      }
+      refreshToken,
+      user: toAuthUser(user),
+      ...(project && { projectId: project._id })
     });
   } catch (error) {
     next(error);
@@ -60,27 +164,107 @@ router.post('/login', [
 
     const { email, password } = req.body;
 
+    const ipRetryAfter = await getIpRetryAfter(req, 'login');
+    if (ipRetryAfter) {
+      await recordLoginAttempt(req, { email, type: 'login', success: false, reason: 'ip_blocked' });
+      return sendTooManyAttempts(res, ipRetryAfter, 'Too many failed login attempts from this address. Please try again later.');
+    }
+
     const user = await User.findOne({ email });
     if (!user) {
+      await recordLoginAttempt(req, { email, type: 'login', success: false, reason: 'invalid_credentials' });
       return res.status(401).json({ message: 'Invalid email or password' });
     }
 
+    // Locked accounts are refused without checking the password
+    const accountRetryAfter = getAccountRetryAfter(user);
+    if (accountRetryAfter) {
+      await recordLoginAttempt(req, { user, email, type: 'login', success: false, reason: 'account_locked' });
+      return sendTooManyAttempts(res, accountRetryAfter, 'Account temporarily locked after too many failed login attempts. Please try again later.');
+    }
+
     const isMatch = await user.comparePassword(password);
     if (!isMatch) {
+      await recordLoginAttempt(req, { user, email, type: 'login', success: false, reason: 'invalid_credentials' });
+      await registerFailedLogin(user, req);
       return res.status(401).json({ message: 'Invalid email or password' });
     }
 
-    const token = generateToken(user._id);
+    // Second step happens in POST /api/auth/login/2fa; the failure counter is
+    // only reset once that succeeds, so 2FA codes can't be brute-forced
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.json({
+        twoFactorRequired: true,
+        challengeToken: generateTwoFactorChallenge(user._id, user.tokenVersion)
+      });
+    }
+
+    await recordLoginAttempt(req, { user, email, type: 'login', success: true });
+    await clearFailedLogins(user);
+    const { token, refreshToken } = await createSession(user, req);
 
     res.json({
       token,
-      user: {
-        id: user._id,
-        name: user.name,
-        email: user.email,
-        avatar: user.avatar,
-        role: user.role
-      }
+      refreshToken,
+      user: toAuthUser(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/login/2fa
+// @desc    Complete a two-step login with a TOTP code or a recovery code
+// @access  Public
+router.post('/login/2fa', [
+  body('challengeToken').isString().notEmpty().withMessage('Challenge token is required'),
+  body().custom((value) => Boolean(value.code || value.recoveryCode))
+    .withMessage('Authentication code or recovery code is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
+
+    const challenge = verifyTwoFactorChallenge(req.body.challengeToken);
+    if (!challenge) {
+      return res.status(401).json({ message: 'Login challenge expired. Please log in again.' });
+    }
+
+    const user = await User.findById(challenge.id);
+    if (!user || user.tokenVersion !== challenge.tv) {
+      return res.status(401).json({ message: 'Login challenge expired. Please log in again.' });
+    }
+
+    const ipRetryAfter = await getIpRetryAfter(req, 'login');
+    if (ipRetryAfter) {
+      await recordLoginAttempt(req, { user, email: user.email, type: 'two_factor', success: false, reason: 'ip_blocked' });
+      return sendTooManyAttempts(res, ipRetryAfter, 'Too many failed login attempts from this address. Please try again later.');
+    }
+
+    const accountRetryAfter = getAccountRetryAfter(user);
+    if (accountRetryAfter) {
+      await recordLoginAttempt(req, { user, email: user.email, type: 'two_factor', success: false, reason: 'account_locked' });
+      return sendTooManyAttempts(res, accountRetryAfter, 'Account temporarily locked after too many failed login attempts. Please try again later.');
+    }
+
+    if (!verifySecondFactor(user, req.body)) {
+      await recordLoginAttempt(req, { user, email: user.email, type: 'two_factor', success: false, reason: 'invalid_code' });
+      await registerFailedLogin(user, req);
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+    await user.save({ validateModifiedOnly: true });
+    await recordLoginAttempt(req, { user, email: user.email, type: 'two_factor', success: true });
+    await clearFailedLogins(user);
+
+    const { token, refreshToken } = await createSession(user, req);
+
+    res.json({
+      token,
+      refreshToken,
+      user: toAuthUser(user),
+      recoveryCodesRemaining: user.twoFactor.recoveryCodeHashes.length
     });
   } catch (error) {
     next(error);
@@ -90,17 +274,562 @@ router.post('/login', [
 // @route   GET /api/auth/me
 // @desc    Get current user
 // @access  Private
-router.get('/me', protect, async (req, res, next) => {
+router.get('/me', protectAccount, async (req, res, next) => {
   try {
     res.json({
-      user: {
-        id: req.user._id,
-        name: req.user.name,
-        email: req.user.email,
-        avatar: req.user.avatar,
-        role: req.user.role
+      user: toAuthUser(req.user)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/auth/me
+// @desc    Update current user's profile (name, email, locale for emails)
+// @access  Private
+router.put('/me', protectAccount, [
+  body('name').optional().trim().notEmpty().withMessage('Name cannot be empty'),
+  body('email').optional().isEmail().withMessage('Please provide a valid email'),
+  body('locale').optional().isIn(LOCALES).withMessage(`Locale must be one of: ${LOCALES.join(', ')}`)
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
+
+    const { name, email, locale, currentPassword } = req.body;
+    const user = await User.findById(req.user._id);
+
+    if (name !== undefined) {
+      user.name = name;
+    }
+    if (locale !== undefined) {
+      user.locale = locale;
+    }
+
+    const newEmail = email !== undefined ? email.toLowerCase().trim() : user.email;
+    const emailChanged = newEmail !== user.email;
+
+    if (emailChanged) {
+      if (!currentPassword || !(await user.comparePassword(currentPassword))) {
+        return res.status(401).json({ message: 'Current password is required to change your email' });
+      }
+
+      const existingUser = await User.findOne({ email: newEmail });
+      if (existingUser) {
+        return res.status(400).json({ message: 'User already exists with this email' });
       }
+
+      user.email = newEmail;
+      user.emailVerified = false;
+      // Saves the profile changes along with the new token
+      await sendVerification(user);
+    } else {
+      await user.save();
+    }
+
+    res.json({ user: toAuthUser(user) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/auth/me/avatar
+// @desc    Upload a new avatar (multipart field "avatar"), stored in several sizes
+// @access  Private
+router.put('/me/avatar', protectAccount, (req, res, next) => {
+  avatarUpload(req, res, (error) => {
+    if (error) {
+      return res.status(400).json({ message: error.message });
+    }
+    next();
+  });
+}, async (req, res, next) => {
+  try {
+    if (!req.file) {
+      return res.status(400).json({ message: 'No file uploaded' });
+    }
+
+    if (!(await isReadableImage(req.file.buffer))) {
+      return res.status(400).json({ message: 'Uploaded file is not a valid image' });
+    }
+
+    const user = await User.findById(req.user._id);
+    const previousKeys = user.avatarKeys;
+
+    const { avatar, avatarSizes, avatarKeys } = await uploadAvatar(req.file.buffer);
+    user.avatar = avatar;
+    user.avatarSizes = avatarSizes;
+    user.avatarKeys = avatarKeys;
+    await user.save();
+
+    await deleteAvatar(previousKeys);
+
+    res.json({ user: toAuthUser(user) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/auth/me/avatar
+// @desc    Remove the current user's avatar
+// @access  Private
+router.delete('/me/avatar', protectAccount, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+    const previousKeys = user.avatarKeys;
+
+    user.avatar = '';
+    user.avatarSizes = undefined;
+    user.avatarKeys = [];
+    await user.save();
+
+    await deleteAvatar(previousKeys);
+
+    res.json({ user: toAuthUser(user) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/auth/me/password
+// @desc    Change password (requires the current password); signs out other devices
+// @access  Private
+router.put('/me/password', protectAccount, [
+  body('currentPassword').notEmpty().withMessage('Current password is required'),
+  body('newPassword').isLength({ min: 6 }).withMessage('New password must be at least 6 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
+
+    const { currentPassword, newPassword } = req.body;
+    const user = await User.findById(req.user._id);
+
+    if (!(await user.comparePassword(currentPassword))) {
+      return res.status(401).json({ message: 'Current password is incorrect' });
+    }
+
+    if (await user.comparePassword(newPassword)) {
+      return res.status(400).json({ message: 'New password must be different from the current password' });
+    }
+
+    user.password = newPassword;
+    await user.save();
+    await revokeAllSessions(user._id);
+
+    // Keep this device signed in with a fresh session
+    const updatedUser = await User.findById(user._id);
+    const { token, refreshToken } = await createSession(updatedUser, req);
+
+    res.json({
+      message: 'Password changed successfully',
+      token,
+      refreshToken,
+      user: toAuthUser(updatedUser)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/2fa/setup
+// @desc    Start 2FA enrollment: returns a new secret and otpauth URI
+// @access  Private
+router.post('/2fa/setup', protectAccount, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor && user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+
+    const secret = generateSecret();
+    user.twoFactor.pendingSecret = encryptSecret(secret);
+    await user.save({ validateModifiedOnly: true });
+
+    res.json({
+      secret,
+      otpauthUri: buildOtpauthUri(secret, user.email)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/2fa/verify
+// @desc    Confirm enrollment with a code from the authenticator app; returns recovery codes
+// @access  Private
+router.post('/2fa/verify', protectAccount, [
+  body('code').isString().notEmpty().withMessage('Authentication code is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is already enabled' });
+    }
+    if (!user.twoFactor.pendingSecret) {
+      return res.status(400).json({ message: 'Start two-factor setup first' });
+    }
+
+    const step = verifyTotp(decryptSecret(user.twoFactor.pendingSecret), req.body.code);
+    if (step === null) {
+      return res.status(400).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.enabled = true;
+    user.twoFactor.secret = user.twoFactor.pendingSecret;
+    user.twoFactor.pendingSecret = undefined;
+    user.twoFactor.recoveryCodeHashes = hashes;
+    user.twoFactor.lastUsedStep = step;
+    user.twoFactor.enabledAt = new Date();
+    await user.save({ validateModifiedOnly: true });
+
+    res.json({
+      message: 'Two-factor authentication enabled. Store these recovery codes somewhere safe; they will not be shown again.',
+      recoveryCodes: codes,
+      user: toAuthUser(user)
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/2fa/disable
+// @desc    Turn off 2FA (requires password and a current code or recovery code)
+// @access  Private
+router.post('/2fa/disable', protectAccount, [
+  body('password').notEmpty().withMessage('Password is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (user.role === 'admin' && await Setting.getValue('requireAdminTwoFactor')) {
+      return res.status(403).json({ message: 'Two-factor authentication is required for admin accounts' });
+    }
+
+    if (!(await user.comparePassword(req.body.password))) {
+      return res.status(401).json({ message: 'Password is incorrect' });
+    }
+
+    if (!verifySecondFactor(user, req.body)) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    user.twoFactor = { enabled: false, recoveryCodeHashes: [] };
+    await user.save({ validateModifiedOnly: true });
+
+    res.json({ message: 'Two-factor authentication disabled', user: toAuthUser(user) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/2fa/recovery-codes
+// @desc    Replace all recovery codes (requires a current code)
+// @access  Private
+router.post('/2fa/recovery-codes', protectAccount, [
+  body('code').isString().notEmpty().withMessage('Authentication code is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
+
+    const user = await User.findById(req.user._id);
+
+    if (!user.twoFactor.enabled) {
+      return res.status(400).json({ message: 'Two-factor authentication is not enabled' });
+    }
+
+    if (!verifySecondFactor(user, { code: req.body.code })) {
+      return res.status(401).json({ message: 'Invalid authentication code' });
+    }
+
+    const { codes, hashes } = generateRecoveryCodes();
+    user.twoFactor.recoveryCodeHashes = hashes;
+    await user.save({ validateModifiedOnly: true });
+
+    res.json({ recoveryCodes: codes });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/forgot-password
+// @desc    Email a password reset link
+// @access  Public
+router.post('/forgot-password', [
+  body('email').isEmail().withMessage('Please provide a valid email')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
+
+    const user = await User.findOne({ email: req.body.email.toLowerCase().trim() });
+
+    if (user) {
+      const token = user.createPasswordResetToken();
+      await user.save({ validateModifiedOnly: true });
+
+      setImmediate(() => {
+        sendPasswordResetEmail(user.email, user.name, token, user.locale).catch((error) =>
+          console.error('Error sending password reset email:', error)
+        );
+      });
+    }
+
+    // Same response either way so the endpoint can't be used to probe accounts
+    res.json({ message: 'If an account exists for this email, a password reset link has been sent' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/reset-password
+// @desc    Set a new password with a reset token
+// @access  Public
+router.post('/reset-password', [
+  body('token').isString().notEmpty().withMessage('Reset token is required'),
+  body('password').isLength({ min: 6 }).withMessage('Password must be at least 6 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
+
+    const user = await User.findOne({
+      passwordResetTokenHash: hashToken(req.body.token),
+      passwordResetExpires: { $gt: new Date() }
     });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired reset token' });
+    }
+
+    user.password = req.body.password;
+    // Single use
+    user.passwordResetTokenHash = undefined;
+    user.passwordResetExpires = undefined;
+    // Proving control of the mailbox lifts a lockout
+    user.failedLoginAttempts = 0;
+    user.lockUntil = null;
+    // The link proves control of the mailbox
+    user.emailVerified = true;
+    await user.save();
+
+    await revokeAllSessions(user._id);
+
+    res.json({ message: 'Password has been reset. Please log in with your new password.' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/verify-email
+// @desc    Confirm an email address with a verification token
+// @access  Public
+router.post('/verify-email', [
+  body('token').isString().notEmpty().withMessage('Verification token is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
+
+    const user = await User.findOne({
+      emailVerificationTokenHash: hashToken(req.body.token),
+      emailVerificationExpires: { $gt: new Date() }
+    });
+
+    if (!user) {
+      return res.status(400).json({ message: 'Invalid or expired verification token' });
+    }
+
+    user.emailVerified = true;
+    user.emailVerificationTokenHash = undefined;
+    user.emailVerificationExpires = undefined;
+    await user.save({ validateModifiedOnly: true });
+
+    res.json({ message: 'Email verified successfully', user: toAuthUser(user) });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/resend-verification
+// @desc    Send a new verification email to the current user
+// @access  Private
+router.post('/resend-verification', protectAccount, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.user._id);
+
+    if (user.emailVerified) {
+      return res.status(400).json({ message: 'Email is already verified' });
+    }
+
+    if (
+      user.emailVerificationSentAt &&
+      Date.now() - user.emailVerificationSentAt.getTime() < VERIFICATION_RESEND_INTERVAL
+    ) {
+      return res.status(429).json({ message: 'Please wait a minute before requesting another verification email' });
+    }
+
+    await sendVerification(user);
+
+    res.json({ message: 'Verification email sent' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/auth/login-history
+// @desc    Get your own login attempts, cursor-paginated: limit, cursor
+// @access  Private
+router.get('/login-history', protectAccount, async (req, res, next) => {
+  try {
+    const page = await paginate(LoginAttempt, { user: req.user._id }, {
+      sort: { createdAt: -1 },
+      limit: parseLimit(req.query.limit),
+      cursor: req.query.cursor,
+      select: 'type success reason ip userAgent createdAt'
+    });
+
+    res.json(page);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/refresh
+// @desc    Exchange a refresh token for a new access/refresh token pair
+// @access  Public
+router.post('/refresh', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
+
+    const result = await rotateSession(req.body.refreshToken);
+    if (!result) {
+      return res.status(401).json({ message: 'Invalid or expired refresh token' });
+    }
+
+    res.json({
+      token: result.token,
+      refreshToken: result.refreshToken
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/logout
+// @desc    End the session a refresh token belongs to
+// @access  Public
+router.post('/logout', [
+  body('refreshToken').isString().notEmpty().withMessage('Refresh token is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
+
+    await revokeSessionByRefreshToken(req.body.refreshToken);
+
+    // Same response whether or not the token was still valid
+    res.json({ message: 'Logged out successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/auth/logout-all
+// @desc    Log out of all devices
+// @access  Private
+router.post('/logout-all', protectAccount, async (req, res, next) => {
+  try {
+    await revokeAllSessions(req.user._id);
+    res.json({ message: 'Logged out of all devices' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/auth/sessions
+// @desc    List active sessions of the current user
+// @access  Private
+router.get('/sessions', protectAccount, async (req, res, next) => {
+  try {
+    const sessions = await Session.find({
+      user: req.user._id,
+      revokedAt: null,
+      tokenVersion: req.user.tokenVersion,
+      expiresAt: { $gt: new Date() }
+    }).sort({ lastUsedAt: -1 });
+
+    res.json(sessions.map(session => ({
+      id: session._id,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastUsedAt: session.lastUsedAt,
+      expiresAt: session.expiresAt,
+      current: session._id.toString() === req.sessionId
+    })));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/auth/sessions/:id
+// @desc    Revoke one of the current user's sessions
+// @access  Private
+router.delete('/sessions/:id', protectAccount, async (req, res, next) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid session ID format' });
+    }
+
+    const result = await Session.updateOne(
+      { _id: req.params.id, user: req.user._id, revokedAt: null },
+      { $set: { revokedAt: new Date() } }
+    );
+
+    if (result.modifiedCount === 0) {
+      return res.status(404).json({ message: 'Session not found' });
+    }
+    closeSessionSockets({ sessionId: req.params.id });
+
+    res.json({ message: 'Session revoked' });
   } catch (error) {
     next(error);
   }
@@ -3,15 +3,55 @@ import { body, validationResult } from 'express-validator';
 import Comment from '../models/Comment.js';
 import Task from '../models/Task.js';
 import Activity from '../models/Activity.js';
-import { protect } from '../middleware/auth.js';
+import User from '../models/User.js';
+import { protect, hasProjectAccess, hasProjectPermission } from '../middleware/auth.js';
+import { emitToProject } from '../utils/realtime.js';
+import { paginate, parseLimit } from '../utils/pagination.js';
+import { notify, findMentionedUsers } from '../utils/notifications.js';
 
 const router = express.Router();
 
+// Notify project members newly mentioned in a comment and, for new comments,
+// the task's watchers (a mentioned watcher only gets the mention)
+const notifyCommentRecipients = async ({ comment, task, project, author, previousContent }) => {
+  const members = await User.find({ _id: { $in: [project.owner, ...project.members] } }).select('name email');
+  const idsOf = users => users.map(user => user._id.toString());
+
+  const mentioned = findMentionedUsers(comment.content, members);
+  const previouslyMentioned = idsOf(findMentionedUsers(previousContent, members));
+
+  await notify({
+    recipients: mentioned.filter(user => !previouslyMentioned.includes(user._id.toString())),
+    type: 'mentioned',
+    message: `${author.name} mentioned you in a comment on "${task.title}"`,
+    actor: author,
+    project,
+    task,
+    comment
+  });
+
+  if (previousContent !== undefined) return;
+
+  const memberIds = idsOf(members);
+  const mentionedIds = idsOf(mentioned);
+  await notify({
+    recipients: task.watchers.filter(watcher =>
+      memberIds.includes(watcher.toString()) && !mentionedIds.includes(watcher.toString())
+    ),
+    type: 'comment_added',
+    message: `${author.name} commented on "${task.title}"`,
+    actor: author,
+    project,
+    task,
+    comment
+  });
+};
+
 // All routes require authentication
 router.use(protect);
 
 // @route   GET /api/comments/task/:taskId
-// @desc    Get all comments for a task
+// @desc    Get comments for a task, newest first (cursor-paginated: limit, cursor)
 // @access  Private
 router.get('/task/:taskId', async (req, res, next) => {
   try {
@@ -22,19 +62,23 @@ router.get('/task/:taskId', async (req, res, next) => {
 
     const Project = (await import('../models/Project.js')).default;
     const project = await Project.findById(task.project);
-    const isAdmin = req.user.role === 'admin';
-    const isOwner = project.owner.toString() === req.user._id.toString();
-    const isMember = project.members.some(member => member.toString() === req.user._id.toString());
+    // Missing when the project is in the trash
+    if (!project) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
 
-    if (!isAdmin && !isOwner && !isMember) {
+    if (!hasProjectAccess(project, req.user)) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
-    const comments = await Comment.find({ task: req.params.taskId })
-      .populate('author', 'name email avatar')
-      .sort({ createdAt: -1 });
+    const page = await paginate(Comment, { task: req.params.taskId }, {
+      sort: { createdAt: -1 },
+      limit: parseLimit(req.query.limit),
+      cursor: req.query.cursor,
+      populate: (commentQuery) => commentQuery.populate('author', 'name email avatar')
+    });
 
-    res.json(comments);
+    res.json(page);
   } catch (error) {
     next(error);
   }
@@ -62,11 +106,11 @@ router.post('/', [
 
     const Project = (await import('../models/Project.js')).default;
     const project = await Project.findById(task.project);
-    const isAdmin = req.user.role === 'admin';
-    const isOwner = project.owner.toString() === req.user._id.toString();
-    const isMember = project.members.some(member => member.toString() === req.user._id.toString());
+    if (!project) {
+      return res.status(404).json({ message: 'Task not found' });
+    }
 
-    if (!isAdmin && !isOwner && !isMember) {
+    if (!hasProjectPermission(project, req.user, 'comments:create')) {
       return res.status(403).json({ message: 'Access denied' });
     }
 
@@ -88,6 +132,9 @@ router.post('/', [
       .populate('author', 'name email avatar');
 
     res.status(201).json(populatedComment);
+    emitToProject(task.project, 'comment.created', populatedComment, req.user);
+    notifyCommentRecipients({ comment, task, project, author: req.user })
+      .catch(error => console.error('Error creating comment notifications:', error));
   } catch (error) {
     next(error);
   }
@@ -114,6 +161,15 @@ router.put('/:id', [
       return res.status(403).json({ message: 'You can only edit your own comments' });
     }
 
+    const task = await Task.findById(comment.task).select('project title');
+    const Project = (await import('../models/Project.js')).default;
+    const project = task && await Project.findById(task.project);
+
+    if (!project || !hasProjectPermission(project, req.user, 'comments:create')) {
+      return res.status(403).json({ message: 'Access denied' });
+    }
+
+    const previousContent = comment.content;
     comment.content = req.body.content;
     await comment.save();
 
@@ -121,6 +177,9 @@ router.put('/:id', [
       .populate('author', 'name email avatar');
 
     res.json(populatedComment);
+    emitToProject(task.project, 'comment.updated', populatedComment, req.user);
+    notifyCommentRecipients({ comment, task, project, author: req.user, previousContent })
+      .catch(error => console.error('Error creating comment notifications:', error));
   } catch (error) {
     next(error);
   }
@@ -136,19 +195,24 @@ router.delete('/:id', async (req, res, next) => {
       return res.status(404).json({ message: 'Comment not found' });
     }
 
-    const task = await Task.findById(comment.task);
+    const task = await Task.findById(comment.task).select('project');
     const Project = (await import('../models/Project.js')).default;
-    const project = await Project.findById(task.project);
-    const isOwner = project.owner.toString() === req.user._id.toString();
-    const isProjectOwner = project.owner.toString() === req.user._id.toString();
+    const project = task && await Project.findById(task.project);
+    // The task or its project is in the trash
+    if (!project) {
+      return res.status(404).json({ message: 'Comment not found' });
+    }
+    const isAuthor = comment.author.toString() === req.user._id.toString();
 
-    if (comment.author.toString() !== req.user._id.toString() && !isProjectOwner) {
+    if (!hasProjectAccess(project, req.user) ||
+        (!isAuthor && !hasProjectPermission(project, req.user, 'comments:moderate'))) {
       return res.status(403).json({ message: 'You can only delete your own comments' });
     }
 
     await Comment.findByIdAndDelete(req.params.id);
 
     res.json({ message: 'Comment deleted successfully' });
+    emitToProject(task.project, 'comment.deleted', { commentId: comment._id, taskId: comment.task }, req.user);
   } catch (error) {
     next(error);
   }
@@ -0,0 +1,200 @@
+import express from 'express';
+import { body, query, validationResult } from 'express-validator';
+import Invitation from '../models/Invitation.js';
+import User from '../models/User.js';
+import { protect } from '../middleware/auth.js';
+import {
+  findInvitationByToken,
+  acceptInvitation,
+  declineInvitation
+} from '../utils/invitations.js';
+
+const router = express.Router();
+
+const populateInvitation = (invitationQuery) => invitationQuery
+  .populate('project', 'name color')
+  .populate('invitedBy', 'name email avatar');
+
+// Load a pending invitation from a token, or respond with an error
+const loadByToken = async (req, res) => {
+  const invitation = await findInvitationByToken(req.body.token || req.query.token);
+  if (!invitation) {
+    res.status(400).json({ message: 'Invalid or expired invitation' });
+    return null;
+  }
+  if (!invitation.isPending()) {
+    res.status(400).json({ message: `Invitation is no longer valid (${invitation.status === 'pending' ? 'expired' : invitation.status})` });
+    return null;
+  }
+  return invitation;
+};
+
+// Invitations are matched to accounts by email, so listing and answering
+// them by ID needs a verified address; unverified accounts can only use the
+// emailed token, which proves control of the mailbox
+const requireVerifiedEmail = (req, res, next) => {
+  if (!req.user.emailVerified) {
+    return res.status(403).json({ message: 'Please verify your email address, or open the link in the invitation email' });
+  }
+  next();
+};
+
+// Load one of the current user's pending invitations by ID, or respond with an error
+const loadOwnById = async (req, res) => {
+  if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+    res.status(400).json({ message: 'Invalid invitation ID format' });
+    return null;
+  }
+  const invitation = await Invitation.findOne({ _id: req.params.id, email: req.user.email });
+  if (!invitation || !invitation.isPending()) {
+    res.status(404).json({ message: 'Pending invitation not found' });
+    return null;
+  }
+  return invitation;
+};
+
+// @route   GET /api/invitations
+// @desc    Get pending invitations for the current user's (verified) email
+// @access  Private
+router.get('/', protect, requireVerifiedEmail, async (req, res, next) => {
+  try {
+    const invitations = await populateInvitation(Invitation.find({
+      email: req.user.email,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })).sort({ createdAt: -1 });
+
+    res.json(invitations);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/invitations/preview?token=
+// @desc    Show what an emailed invitation is for (before logging in or signing up)
+// @access  Public
+router.get('/preview', [
+  query('token').isString().notEmpty().withMessage('Invitation token is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
+
+    const invitation = await loadByToken(req, res);
+    if (!invitation) return;
+
+    await invitation.populate([
+      { path: 'project', select: 'name color' },
+      { path: 'invitedBy', select: 'name avatar' }
+    ]);
+    const hasAccount = Boolean(await User.exists({ email: invitation.email }));
+
+    res.json({
+      email: invitation.email,
+      role: invitation.role,
+      project: invitation.project,
+      invitedBy: invitation.invitedBy,
+      expiresAt: invitation.expiresAt,
+      hasAccount
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/invitations/accept
+// @desc    Accept an emailed invitation (token); must be logged in as the invited email
+// @access  Private
+router.post('/accept', protect, [
+  body('token').isString().notEmpty().withMessage('Invitation token is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
+
+    const invitation = await loadByToken(req, res);
+    if (!invitation) return;
+
+    if (invitation.email !== req.user.email) {
+      return res.status(403).json({ message: 'This invitation was sent to a different email address' });
+    }
+
+    // The emailed link proves control of the mailbox
+    if (!req.user.emailVerified) {
+      await User.updateOne({ _id: req.user._id }, { emailVerified: true });
+    }
+
+    const project = await acceptInvitation(invitation, req.user);
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    res.json({ message: 'Invitation accepted', projectId: project._id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/invitations/decline
+// @desc    Decline an emailed invitation (token)
+// @access  Public
+router.post('/decline', [
+  body('token').isString().notEmpty().withMessage('Invitation token is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
+
+    const invitation = await loadByToken(req, res);
+    if (!invitation) return;
+
+    await declineInvitation(invitation);
+
+    res.json({ message: 'Invitation declined' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/invitations/:id/accept
+// @desc    Accept one of your pending invitations (verified email required)
+// @access  Private
+router.post('/:id/accept', protect, requireVerifiedEmail, async (req, res, next) => {
+  try {
+    const invitation = await loadOwnById(req, res);
+    if (!invitation) return;
+
+    const project = await acceptInvitation(invitation, req.user);
+    if (!project) {
+      return res.status(404).json({ message: 'Project not found' });
+    }
+
+    res.json({ message: 'Invitation accepted', projectId: project._id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/invitations/:id/decline
+// @desc    Decline one of your pending invitations (verified email required)
+// @access  Private
+router.post('/:id/decline', protect, requireVerifiedEmail, async (req, res, next) => {
+  try {
+    const invitation = await loadOwnById(req, res);
+    if (!invitation) return;
+
+    await declineInvitation(invitation);
+
+    res.json({ message: 'Invitation declined' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
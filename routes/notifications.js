@@ -0,0 +1,176 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Notification, { NOTIFICATION_TYPES } from '../models/Notification.js';
+import NotificationPreference, { DELIVERY_OPTIONS, DEFAULT_DELIVERY } from '../models/NotificationPreference.js';
+import { protect } from '../middleware/auth.js';
+import { paginate, parseLimit } from '../utils/pagination.js';
+import { populateNotification } from '../utils/notifications.js';
+import { emitToUser } from '../utils/realtime.js';
+import { verifyUnsubscribeToken } from '../utils/generateToken.js';
+
+const router = express.Router();
+
+const toPreferences = (preference) => ({
+  events: { ...DEFAULT_DELIVERY, ...(preference ? preference.events.toObject() : {}) },
+  options: DELIVERY_OPTIONS
+});
+
+// @route   POST /api/notifications/unsubscribe
+// @desc    Turn off every notification email (token from the email footer); in-app notifications stay on
+// @access  Public
+router.post('/unsubscribe', [
+  body('token').notEmpty().withMessage('Unsubscribe token is required')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
+
+    const userId = verifyUnsubscribeToken(req.body.token);
+    if (!userId) {
+      return res.status(400).json({ message: 'Invalid or expired unsubscribe link' });
+    }
+
+    const preference = await NotificationPreference.findOne({ user: userId }) ||
+      new NotificationPreference({ user: userId });
+    for (const type of NOTIFICATION_TYPES) {
+      if (['email', 'digest'].includes(preference.events[type])) {
+        preference.events[type] = 'in_app';
+      }
+    }
+    await preference.save();
+
+    res.json({ message: 'You will no longer receive notification emails' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// All other routes require authentication
+router.use(protect);
+
+// @route   GET /api/notifications/preferences
+// @desc    Get your delivery option for each notification type
+// @access  Private
+router.get('/preferences', async (req, res, next) => {
+  try {
+    const preference = await NotificationPreference.findOne({ user: req.user._id });
+    res.json(toPreferences(preference));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/notifications/preferences
+// @desc    Update delivery options, e.g. { "events": { "mentioned": "email", "comment_added": "digest" } }
+// @access  Private
+router.put('/preferences', async (req, res, next) => {
+  try {
+    const { events } = req.body;
+    if (!events || typeof events !== 'object' || Array.isArray(events)) {
+      return res.status(400).json({ message: 'events must be an object of notification type to delivery option' });
+    }
+
+    for (const [type, delivery] of Object.entries(events)) {
+      if (!NOTIFICATION_TYPES.includes(type)) {
+        return res.status(400).json({ message: `Unknown notification type "${type}"` });
+      }
+      if (!DELIVERY_OPTIONS.includes(delivery)) {
+        return res.status(400).json({ message: `Delivery must be one of: ${DELIVERY_OPTIONS.join(', ')}` });
+      }
+    }
+
+    const preference = await NotificationPreference.findOne({ user: req.user._id }) ||
+      new NotificationPreference({ user: req.user._id });
+    for (const [type, delivery] of Object.entries(events)) {
+      preference.events[type] = delivery;
+    }
+    await preference.save();
+
+    res.json(toPreferences(preference));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/notifications
+// @desc    Get your notifications, newest first (cursor-paginated: limit, cursor; unread=true for unread only)
+// @access  Private
+router.get('/', async (req, res, next) => {
+  try {
+    const filter = { recipient: req.user._id };
+    if (req.query.unread === 'true') {
+      filter.readAt = null;
+    }
+
+    const page = await paginate(Notification, filter, {
+      sort: { createdAt: -1 },
+      limit: parseLimit(req.query.limit),
+      cursor: req.query.cursor,
+      populate: populateNotification
+    });
+
+    res.json(page);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/notifications/unread-count
+// @desc    Number of unread notifications (for the bell badge)
+// @access  Private
+router.get('/unread-count', async (req, res, next) => {
+  try {
+    const count = await Notification.countDocuments({ recipient: req.user._id, readAt: null });
+    res.json({ count });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/notifications/read-all
+// @desc    Mark all your notifications as read
+// @access  Private
+router.put('/read-all', async (req, res, next) => {
+  try {
+    const result = await Notification.updateMany(
+      { recipient: req.user._id, readAt: null },
+      { readAt: new Date() }
+    );
+
+    res.json({ message: 'All notifications marked as read', updated: result.modifiedCount });
+    emitToUser(req.user._id, 'notification.read', { all: true });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/notifications/:id/read
+// @desc    Mark one notification as read
+// @access  Private
+router.put('/:id/read', async (req, res, next) => {
+  try {
+    const notification = await Notification.findOne({ _id: req.params.id, recipient: req.user._id });
+    if (!notification) {
+      return res.status(404).json({ message: 'Notification not found' });
+    }
+
+    if (!notification.readAt) {
+      notification.readAt = new Date();
+      await notification.save();
+    }
+
+    const populatedNotification = await populateNotification(Notification.findById(notification._id));
+
+    res.json(populatedNotification);
+    emitToUser(req.user._id, 'notification.read', { notificationId: notification._id });
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid notification ID format' });
+    }
+    next(error);
+  }
+});
+
+export default router;
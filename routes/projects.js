@@ -1,21 +1,45 @@
 import express from 'express';
 import { body, validationResult } from 'express-validator';
-import Project from '../models/Project.js';
+import Project, { PROJECT_ROLES, DEFAULT_MEMBER_ROLE, MAX_REMINDER_OFFSETS, MAX_REMINDER_HOURS } from '../models/Project.js';
 import Task from '../models/Task.js';
 import Activity from '../models/Activity.js';
-import { protect, checkProjectAccess, checkProjectOwner, isAdmin } from '../middleware/auth.js';
+import Label from '../models/Label.js';
+import Invitation from '../models/Invitation.js';
+import { protect, projectAccess, checkProjectAccess, checkProjectOwner, requireProjectPermission, isAdmin } from '../middleware/auth.js';
+import { validateColumnName } from '../utils/workflow.js';
+import { createInvitation } from '../utils/invitations.js';
+import { archivedFilter, purgeDate, purgeProject } from '../utils/trash.js';
+import { runInTransaction } from '../utils/transactions.js';
+import { notifyInBackground } from '../utils/notifications.js';
+import { resolveWorkspace } from '../middleware/workspace.js';
+import { emitToProject, revokeProjectSubscriptions, closeProjectChannel } from '../utils/realtime.js';
 
 const router = express.Router();
 
+// Drop a user from a project's members and roles (caller saves)
+const removeMember = (project, userId) => {
+  project.members = project.members.filter(
+    member => member.toString() !== userId.toString()
+  );
+  project.removeMemberRole(userId);
+};
+
 // All routes require authentication
 router.use(protect);
 
 // @route   GET /api/projects
-// @desc    Get all projects for current user
+// @desc    Get the current user's projects in the current workspace (archived=true|all to include archived ones)
 // @access  Private
-router.get('/', async (req, res, next) => {
+router.get('/', resolveWorkspace, async (req, res, next) => {
   try {
+    const archived = archivedFilter(req.query.archived);
+    if (!archived) {
+      return res.status(400).json({ message: 'archived must be true, false or all' });
+    }
+
     const projects = await Project.find({
+      workspace: req.workspace._id,
+      ...archived,
       $or: [
         { owner: req.user._id },
         { members: req.user._id }
@@ -47,9 +71,9 @@ router.get('/:id', checkProjectAccess, async (req, res, next) => {
 });
 
 // @route   POST /api/projects
-// @desc    Create a new project
+// @desc    Create a new project in the current workspace
 // @access  Private
-router.post('/', [
+router.post('/', resolveWorkspace, [
   body('name').trim().notEmpty().withMessage('Project name is required')
     .isLength({ min: 3 }).withMessage('Project name must be at least 3 characters')
     .isLength({ max: 100 }).withMessage('Project name must be less than 100 characters')
@@ -65,6 +89,7 @@ router.post('/', [
     const project = await Project.create({
       name,
       description: description || '',
+      workspace: req.workspace._id,
       owner: req.user._id,
       members: [req.user._id],
       color: color || '#3B82F6'
@@ -89,11 +114,18 @@ router.post('/', [
 
 // @route   PUT /api/projects/:id
 // @desc    Update project
-// @access  Private
-router.put('/:id', checkProjectAccess, [
+// @access  Private (Project owner/admin)
+router.put('/:id', checkProjectAccess, requireProjectPermission('project:update'), [
   body('name').optional().trim().notEmpty().withMessage('Project name cannot be empty')
     .isLength({ min: 3 }).withMessage('Project name must be at least 3 characters')
-    .isLength({ max: 100 }).withMessage('Project name must be less than 100 characters')
+    .isLength({ max: 100 }).withMessage('Project name must be less than 100 characters'),
+  body('dueReminders').optional().isObject().withMessage('dueReminders must be an object'),
+  body('dueReminders.offsets').optional()
+    .isArray({ max: MAX_REMINDER_OFFSETS }).withMessage(`At most ${MAX_REMINDER_OFFSETS} reminder offsets are allowed`),
+  body('dueReminders.offsets.*')
+    .isInt({ min: 1, max: MAX_REMINDER_HOURS }).withMessage(`Reminder offsets must be whole hours from 1 to ${MAX_REMINDER_HOURS}`)
+    .toInt(),
+  body('dueReminders.overdue').optional().isBoolean().withMessage('dueReminders.overdue must be a boolean').toBoolean()
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -101,12 +133,16 @@ router.put('/:id', checkProjectAccess, [
       return res.status(400).json({ message: errors.array()[0].msg });
     }
 
-    const { name, description, color } = req.body;
+    const { name, description, color, dueReminders } = req.body;
     const updateData = {};
 
     if (name) updateData.name = name;
     if (description !== undefined) updateData.description = description;
     if (color) updateData.color = color;
+    if (dueReminders?.offsets) {
+      updateData['dueReminders.offsets'] = [...new Set(dueReminders.offsets)].sort((a, b) => b - a);
+    }
+    if (dueReminders?.overdue !== undefined) updateData['dueReminders.overdue'] = dueReminders.overdue;
 
     const project = await Project.findByIdAndUpdate(
       req.params.id,
@@ -117,32 +153,134 @@ router.put('/:id', checkProjectAccess, [
     .populate('members', 'name email avatar');
 
     res.json(project);
+    emitToProject(project._id, 'project.updated', project, req.user);
   } catch (error) {
     next(error);
   }
 });
 
 // @route   DELETE /api/projects/:id
-// @desc    Delete project
+// @desc    Move project to the trash (purged after TRASH_RETENTION_DAYS); dryRun=true reports what purging it removes
+// @access  Private (Owner or Admin only)
+router.delete('/:id', checkProjectAccess, requireProjectPermission('project:delete'), async (req, res, next) => {
+  try {
+    const project = req.project;
+    if (req.query.dryRun === 'true') {
+      return res.json({ dryRun: true, wouldDelete: await purgeProject(project, { dryRun: true }) });
+    }
+
+    project.deletedAt = new Date();
+    project.deletedBy = req.user._id;
+    await project.save();
+
+    await Activity.create({
+      type: 'project_deleted',
+      description: `${req.user.name} moved the project to the trash`,
+      project: project._id,
+      user: req.user._id
+    });
+
+    res.json({ message: 'Project moved to trash', purgeAt: purgeDate(project.deletedAt) });
+    emitToProject(project._id, 'project.deleted', { projectId: project._id, trashed: true }, req.user);
+    closeProjectChannel(project._id);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/projects/:id/restore
+// @desc    Restore a project from the trash
 // @access  Private (Owner or Admin only)
-router.delete('/:id', checkProjectAccess, checkProjectOwner, async (req, res, next) => {
+router.post('/:id/restore', projectAccess({ includeDeleted: true }), requireProjectPermission('project:delete'), async (req, res, next) => {
   try {
+    const project = req.project;
+    if (!project.deletedAt) {
+      return res.status(400).json({ message: 'Project is not in the trash' });
+    }
+
+    project.deletedAt = null;
+    project.deletedBy = null;
+    await project.save();
 
-    await Task.deleteMany({ project: req.params.id });
-    await Activity.deleteMany({ project: req.params.id });
-    await Project.findByIdAndDelete(req.params.id);
+    await Activity.create({
+      type: 'project_restored',
+      description: `${req.user.name} restored the project from the trash`,
+      project: project._id,
+      user: req.user._id
+    });
 
-    res.json({ message: 'Project deleted successfully' });
+    const restoredProject = await Project.findById(project._id)
+      .populate('owner', 'name email avatar')
+      .populate('members', 'name email avatar');
+
+    res.json(restoredProject);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/projects/:id/archive
+// @desc    Archive project (hidden from the default project list)
+// @access  Private (Project owner/admin)
+router.post('/:id/archive', checkProjectAccess, requireProjectPermission('project:update'), async (req, res, next) => {
+  try {
+    const project = req.project;
+    if (project.archivedAt) {
+      return res.status(400).json({ message: 'Project is already archived' });
+    }
+
+    project.archivedAt = new Date();
+    project.archivedBy = req.user._id;
+    await project.save();
+
+    await Activity.create({
+      type: 'project_archived',
+      description: `${req.user.name} archived the project`,
+      project: project._id,
+      user: req.user._id
+    });
+
+    res.json(project);
+    emitToProject(project._id, 'project.archived', { projectId: project._id, archivedAt: project.archivedAt }, req.user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/projects/:id/unarchive
+// @desc    Unarchive project
+// @access  Private (Project owner/admin)
+router.post('/:id/unarchive', checkProjectAccess, requireProjectPermission('project:update'), async (req, res, next) => {
+  try {
+    const project = req.project;
+    if (!project.archivedAt) {
+      return res.status(400).json({ message: 'Project is not archived' });
+    }
+
+    project.archivedAt = null;
+    project.archivedBy = null;
+    await project.save();
+
+    await Activity.create({
+      type: 'project_unarchived',
+      description: `${req.user.name} unarchived the project`,
+      project: project._id,
+      user: req.user._id
+    });
+
+    res.json(project);
+    emitToProject(project._id, 'project.unarchived', { projectId: project._id }, req.user);
   } catch (error) {
     next(error);
   }
 });
 
 // @route   POST /api/projects/:id/members
-// @desc    Add member to project
-// @access  Private
-router.post('/:id/members', checkProjectAccess, [
-  body('userId').notEmpty().withMessage('User ID is required').trim()
+// @desc    Add member to project (optional role, default editor)
+// @access  Private (Project owner/admin)
+router.post('/:id/members', checkProjectAccess, requireProjectPermission('members:manage'), [
+  body('userId').notEmpty().withMessage('User ID is required').trim(),
+  body('role').optional().isIn(PROJECT_ROLES).withMessage(`Role must be one of: ${PROJECT_ROLES.join(', ')}`)
 ], async (req, res, next) => {
   try {
     const errors = validationResult(req);
@@ -168,6 +306,19 @@ router.post('/:id/members', checkProjectAccess, [
       return res.status(404).json({ message: 'User not found' });
     }
 
+    // Projects only take members of their workspace; others must be invited
+    if (req.project.workspace) {
+      const Workspace = (await import('../models/Workspace.js')).default;
+      const workspace = await Workspace.findById(req.project.workspace);
+      if (workspace && !workspace.getMemberRole(user._id)) {
+        return res.status(400).json({ message: 'User is not a member of this workspace. Invite them by email instead' });
+      }
+    }
+
+    if (process.env.REQUIRE_VERIFIED_MEMBERS === 'true' && !user.emailVerified) {
+      return res.status(400).json({ message: 'User has not verified their email address yet' });
+    }
+
     // Check if user is already a member (compare as strings)
     const isAlreadyMember = req.project.members.some(
       member => member.toString() === userId.toString()
@@ -177,12 +328,14 @@ router.post('/:id/members', checkProjectAccess, [
       return res.status(400).json({ message: 'User is already a member of this project' });
     }
 
+    const role = req.body.role || DEFAULT_MEMBER_ROLE;
     req.project.members.push(userId);
+    req.project.setMemberRole(userId, role);
     await req.project.save();
 
     await Activity.create({
       type: 'member_added',
-      description: `${req.user.name} added ${user.name} to the project`,
+      description: `${req.user.name} added ${user.name} to the project as ${role}`,
       project: req.project._id,
       user: req.user._id
     });
@@ -192,6 +345,14 @@ router.post('/:id/members', checkProjectAccess, [
       .populate('members', 'name email avatar');
 
     res.json(project);
+    emitToProject(project._id, 'member.added', { project, userId, role }, req.user);
+    notifyInBackground({
+      recipients: [userId],
+      type: 'member_added',
+      message: `${req.user.name} added you to the project "${project.name}" as ${role}`,
+      actor: req.user,
+      project
+    });
   } catch (error) {
     next(error);
   }
@@ -199,16 +360,20 @@ router.post('/:id/members', checkProjectAccess, [
 
 // @route   DELETE /api/projects/:id/members/:userId
 // @desc    Remove member from project
-// @access  Private
-router.delete('/:id/members/:userId', checkProjectAccess, async (req, res, next) => {
+// @access  Private (Project owner/admin)
+router.delete('/:id/members/:userId', checkProjectAccess, requireProjectPermission('members:manage'), async (req, res, next) => {
   try {
-    if (req.project.owner.toString() === req.params.userId) {
-      return res.status(400).json({ message: 'Cannot remove project owner' });
+    const memberRole = req.project.getMemberRole(req.params.userId);
+
+    if (memberRole === 'owner') {
+      return res.status(400).json({ message: 'Cannot remove project owner. Transfer ownership first' });
     }
 
-    req.project.members = req.project.members.filter(
-      member => member.toString() !== req.params.userId
-    );
+    if (!memberRole) {
+      return res.status(404).json({ message: 'User is not a member of this project' });
+    }
+
+    removeMember(req.project, req.params.userId);
     await req.project.save();
 
     const User = (await import('../models/User.js')).default;
@@ -226,10 +391,580 @@ router.delete('/:id/members/:userId', checkProjectAccess, async (req, res, next)
       .populate('members', 'name email avatar');
 
     res.json(project);
+    emitToProject(project._id, 'member.removed', { project, userId: req.params.userId }, req.user);
+    revokeProjectSubscriptions(project._id, req.params.userId);
+    notifyInBackground({
+      recipients: [req.params.userId],
+      type: 'member_removed',
+      message: `${req.user.name} removed you from the project "${project.name}"`,
+      actor: req.user,
+      project
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/projects/:id/transfer-ownership
+// @desc    Make another member the owner; the previous owner stays on as a project admin
+// @access  Private (Owner or Admin only)
+router.post('/:id/transfer-ownership', checkProjectAccess, checkProjectOwner, [
+  body('userId').isMongoId().withMessage('Invalid user ID')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
+
+    const { userId } = req.body;
+    const role = req.project.getMemberRole(userId);
+
+    if (role === 'owner') {
+      return res.status(400).json({ message: 'User already owns this project' });
+    }
+
+    if (!role) {
+      return res.status(400).json({ message: 'The new owner must be a member of the project' });
+    }
+
+    const previousOwnerId = req.project.owner;
+    req.project.owner = userId;
+    req.project.removeMemberRole(userId);
+    if (!req.project.members.some(member => member.toString() === previousOwnerId.toString())) {
+      req.project.members.push(previousOwnerId);
+    }
+    req.project.setMemberRole(previousOwnerId, 'admin');
+    await req.project.save();
+
+    const User = (await import('../models/User.js')).default;
+    const [previousOwner, newOwner] = await Promise.all([
+      User.findById(previousOwnerId).select('name'),
+      User.findById(userId).select('name')
+    ]);
+
+    await Activity.create({
+      type: 'ownership_transferred',
+      description: `${req.user.name} transferred ownership from ${previousOwner?.name || 'a former member'} to ${newOwner?.name || 'a member'}`,
+      project: req.project._id,
+      user: req.user._id,
+      metadata: { from: previousOwnerId, to: userId }
+    });
+
+    const project = await Project.findById(req.params.id)
+      .populate('owner', 'name email avatar')
+      .populate('members', 'name email avatar');
+
+    res.json(project);
+    emitToProject(project._id, 'project.ownership_transferred', { project, from: previousOwnerId, to: userId }, req.user);
+    notifyInBackground({
+      recipients: [userId],
+      type: 'ownership_transferred',
+      message: `${req.user.name} made you the owner of the project "${project.name}"`,
+      actor: req.user,
+      project
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/projects/:id/leave
+// @desc    Leave a project (owners must transfer ownership first)
+// @access  Private
+router.post('/:id/leave', checkProjectAccess, async (req, res, next) => {
+  try {
+    if (req.projectRole === 'owner') {
+      return res.status(400).json({ message: 'The project owner cannot leave. Transfer ownership to another member first' });
+    }
+
+    if (!req.projectRole) {
+      return res.status(400).json({ message: 'You are not a member of this project' });
+    }
+
+    removeMember(req.project, req.user._id);
+    await req.project.save();
+
+    await Activity.create({
+      type: 'member_left',
+      description: `${req.user.name} left the project`,
+      project: req.project._id,
+      user: req.user._id
+    });
+
+    res.json({ message: 'You have left the project' });
+    emitToProject(req.project._id, 'member.removed', { userId: req.user._id.toString(), reason: 'left' }, req.user);
+    revokeProjectSubscriptions(req.project._id, req.user._id);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/projects/:id/members/:userId/role
+// @desc    Change a member's project role
+// @access  Private (Project owner/admin)
+router.put('/:id/members/:userId/role', checkProjectAccess, requireProjectPermission('members:manage'), [
+  body('role').isIn(PROJECT_ROLES).withMessage(`Role must be one of: ${PROJECT_ROLES.join(', ')}`)
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
+
+    const { userId } = req.params;
+    const { role } = req.body;
+    const currentRole = req.project.getMemberRole(userId);
+
+    if (!currentRole) {
+      return res.status(404).json({ message: 'User is not a member of this project' });
+    }
+
+    if (currentRole === 'owner') {
+      return res.status(400).json({ message: "The project owner's role cannot be changed" });
+    }
+
+    if (userId === req.user._id.toString() && req.user.role !== 'admin') {
+      return res.status(400).json({ message: 'You cannot change your own project role' });
+    }
+
+    req.project.setMemberRole(userId, role);
+    await req.project.save();
+
+    const User = (await import('../models/User.js')).default;
+    const member = await User.findById(userId).select('name');
+
+    await Activity.create({
+      type: 'member_role_changed',
+      description: `${req.user.name} changed ${member?.name || 'a member'}'s role from ${currentRole} to ${role}`,
+      project: req.project._id,
+      user: req.user._id,
+      metadata: { userId, from: currentRole, to: role }
+    });
+
+    const project = await Project.findById(req.params.id)
+      .populate('owner', 'name email avatar')
+      .populate('members', 'name email avatar');
+
+    res.json(project);
+    emitToProject(project._id, 'member.role_changed', { userId, role }, req.user);
+    notifyInBackground({
+      recipients: [userId],
+      type: 'member_role_changed',
+      message: `${req.user.name} changed your role in the project "${project.name}" to ${role}`,
+      actor: req.user,
+      project
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/projects/:id/invitations
+// @desc    Invite someone by email (optional role, default editor); re-sends a pending invitation
+// @access  Private (Project owner/admin)
+router.post('/:id/invitations', checkProjectAccess, requireProjectPermission('members:manage'), [
+  body('email').isEmail().withMessage('Please provide a valid email'),
+  body('role').optional().isIn(PROJECT_ROLES).withMessage(`Role must be one of: ${PROJECT_ROLES.join(', ')}`)
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
+
+    const email = req.body.email.toLowerCase().trim();
+    const role = req.body.role || DEFAULT_MEMBER_ROLE;
+
+    const User = (await import('../models/User.js')).default;
+    const existingUser = await User.findOne({ email }).select('_id');
+    if (existingUser && req.project.getMemberRole(existingUser._id)) {
+      return res.status(400).json({ message: 'User is already a member of this project' });
+    }
+
+    const invitation = await createInvitation({
+      project: req.project,
+      email,
+      role,
+      inviter: req.user
+    });
+
+    await Activity.create({
+      type: 'member_invited',
+      description: `${req.user.name} invited ${email} to the project as ${role}`,
+      project: req.project._id,
+      user: req.user._id,
+      metadata: { invitationId: invitation._id, email, role }
+    });
+
+    const populatedInvitation = await Invitation.findById(invitation._id)
+      .populate('invitedBy', 'name email avatar');
+
+    res.status(201).json(populatedInvitation);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/projects/:id/invitations
+// @desc    Get pending invitations of a project
+// @access  Private (Project owner/admin)
+router.get('/:id/invitations', checkProjectAccess, requireProjectPermission('members:manage'), async (req, res, next) => {
+  try {
+    const invitations = await Invitation.find({
+      project: req.project._id,
+      status: 'pending',
+      expiresAt: { $gt: new Date() }
+    })
+      .populate('invitedBy', 'name email avatar')
+      .sort({ createdAt: -1 });
+
+    res.json(invitations);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/projects/:id/invitations/:invitationId
+// @desc    Revoke a pending invitation
+// @access  Private (Project owner/admin)
+router.delete('/:id/invitations/:invitationId', checkProjectAccess, requireProjectPermission('members:manage'), async (req, res, next) => {
+  try {
+    if (!req.params.invitationId.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid invitation ID format' });
+    }
+
+    const invitation = await Invitation.findOneAndUpdate(
+      { _id: req.params.invitationId, project: req.project._id, status: 'pending' },
+      { status: 'revoked', respondedAt: new Date() },
+      { new: true }
+    );
+
+    if (!invitation) {
+      return res.status(404).json({ message: 'Pending invitation not found' });
+    }
+
+    res.json({ message: 'Invitation revoked successfully' });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/projects/:id/columns
+// @desc    Get workflow columns of a project
+// @access  Private
+router.get('/:id/columns', checkProjectAccess, async (req, res, next) => {
+  try {
+    res.json(req.project.columns);
   } catch (error) {
     next(error);
   }
 });
 
+// @route   POST /api/projects/:id/columns
+// @desc    Add a workflow column (appended, or inserted at `position`)
+// @access  Private (Project owner/admin)
+router.post('/:id/columns', checkProjectAccess, requireProjectPermission('project:update'), [
+  body('isDone').optional().isBoolean().withMessage('isDone must be a boolean'),
+  body('position').optional().isInt({ min: 0 }).withMessage('Position must be a non-negative integer')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
+
+    const { name, isDone, position } = req.body;
+
+    const nameError = validateColumnName(req.project, name);
+    if (nameError) {
+      return res.status(400).json({ message: nameError });
+    }
+
+    const column = { name: name.trim(), isDone: isDone === true || isDone === 'true' };
+    const index = position !== undefined
+      ? Math.min(parseInt(position, 10), req.project.columns.length)
+      : req.project.columns.length;
+
+    req.project.columns.splice(index, 0, column);
+    await req.project.save();
+
+    res.status(201).json(req.project.columns);
+    emitToProject(req.project._id, 'columns.updated', req.project.columns, req.user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/projects/:id/columns/reorder
+// @desc    Reorder workflow columns
+// @access  Private (Project owner/admin)
+router.put('/:id/columns/reorder', checkProjectAccess, requireProjectPermission('project:update'), [
+  body('columnIds').isArray({ min: 1 }).withMessage('columnIds must be a non-empty array')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
+
+    const { columnIds } = req.body;
+    const currentIds = req.project.columns.map(column => column._id.toString());
+
+    const isPermutation = columnIds.length === currentIds.length &&
+      new Set(columnIds.map(String)).size === currentIds.length &&
+      columnIds.every(id => currentIds.includes(String(id)));
+
+    if (!isPermutation) {
+      return res.status(400).json({ message: 'columnIds must list every column of the project exactly once' });
+    }
+
+    req.project.columns = columnIds.map(id => req.project.columns.id(id).toObject());
+    await req.project.save();
+
+    res.json(req.project.columns);
+    emitToProject(req.project._id, 'columns.updated', req.project.columns, req.user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/projects/:id/columns/:columnId
+// @desc    Rename a column or change its "done" flag
+// @access  Private (Project owner/admin)
+router.put('/:id/columns/:columnId', checkProjectAccess, requireProjectPermission('project:update'), [
+  body('isDone').optional().isBoolean().withMessage('isDone must be a boolean')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
+
+    const column = req.project.columns.id(req.params.columnId);
+    if (!column) {
+      return res.status(404).json({ message: 'Column not found' });
+    }
+
+    const { name, isDone } = req.body;
+    const oldName = column.name;
+
+    if (name !== undefined) {
+      const nameError = validateColumnName(req.project, name, column._id.toString());
+      if (nameError) {
+        return res.status(400).json({ message: nameError });
+      }
+      column.name = name.trim();
+    }
+
+    if (isDone !== undefined) {
+      column.isDone = isDone === true || isDone === 'true';
+    }
+
+    if (req.project.getDoneStatuses().length === 0) {
+      return res.status(400).json({ message: 'A project needs at least one "done" column' });
+    }
+
+    // Tasks reference their column by name, so carry them over on rename
+    // in the same transaction
+    await runInTransaction(async (session) => {
+      // Marked on each attempt, as a retried transaction saves again
+      req.project.markModified('columns');
+      await req.project.save({ session });
+      if (column.name !== oldName) {
+        await Task.updateMany(
+          { project: req.project._id, status: oldName },
+          { status: column.name },
+          { session }
+        );
+      }
+    });
+
+    res.json(req.project.columns);
+    emitToProject(req.project._id, 'columns.updated', req.project.columns, req.user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/projects/:id/columns/:columnId
+// @desc    Delete a column; tasks in it are moved to the `moveTo` column
+// @access  Private (Project owner/admin)
+router.delete('/:id/columns/:columnId', checkProjectAccess, requireProjectPermission('project:update'), async (req, res, next) => {
+  try {
+    const column = req.project.columns.id(req.params.columnId);
+    if (!column) {
+      return res.status(404).json({ message: 'Column not found' });
+    }
+
+    if (req.project.columns.length === 1) {
+      return res.status(400).json({ message: 'A project needs at least one column' });
+    }
+
+    const { moveTo } = req.query;
+    const taskCount = await Task.countDocuments({ project: req.project._id, status: column.name });
+
+    let targetColumn = null;
+    if (moveTo) {
+      targetColumn = req.project.columns.id(moveTo);
+      if (!targetColumn || targetColumn._id.equals(column._id)) {
+        return res.status(400).json({ message: 'Invalid target column' });
+      }
+    } else if (taskCount > 0) {
+      return res.status(400).json({
+        message: `Column "${column.name}" still has ${taskCount} task(s). Provide a moveTo column ID.`
+      });
+    }
+
+    req.project.columns.pull(column._id);
+
+    if (req.project.getDoneStatuses().length === 0) {
+      return res.status(400).json({ message: 'A project needs at least one "done" column' });
+    }
+
+    // Move the tasks out in the same transaction (see the rename above)
+    await runInTransaction(async (session) => {
+      req.project.markModified('columns');
+      await req.project.save({ session });
+      if (targetColumn && taskCount > 0) {
+        await Task.updateMany(
+          { project: req.project._id, status: column.name },
+          { status: targetColumn.name },
+          { session }
+        );
+      }
+    });
+
+    res.json(req.project.columns);
+    emitToProject(req.project._id, 'columns.updated', req.project.columns, req.user);
+  } catch (error) {
+    next(error);
+  }
+});
+
+const labelColorValidator = body('color').optional()
+  .matches(/^#([0-9a-fA-F]{3}){1,2}$/).withMessage('Color must be a hex color like #3B82F6');
+
+// Case-insensitive lookup of a label name within a project
+const findLabelByName = (projectId, name) =>
+  Label.findOne({ project: projectId, name: name.trim() })
+    .collation({ locale: 'en', strength: 2 });
+
+// @route   GET /api/projects/:id/labels
+// @desc    Get labels of a project
+// @access  Private
+router.get('/:id/labels', checkProjectAccess, async (req, res, next) => {
+  try {
+    const labels = await Label.find({ project: req.project._id }).sort({ name: 1 });
+    res.json(labels);
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/projects/:id/labels
+// @desc    Create a label
+// @access  Private (Project owner/admin)
+router.post('/:id/labels', checkProjectAccess, requireProjectPermission('project:update'), [
+  body('name').trim().notEmpty().withMessage('Label name is required')
+    .isLength({ max: 50 }).withMessage('Label name must be less than 50 characters'),
+  labelColorValidator
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
+
+    const { name, color } = req.body;
+
+    if (await findLabelByName(req.project._id, name)) {
+      return res.status(400).json({ message: `A label named "${name}" already exists in this project` });
+    }
+
+    const label = await Label.create({
+      name,
+      color: color || undefined,
+      project: req.project._id
+    });
+
+    res.status(201).json(label);
+    emitToProject(req.project._id, 'labels.updated', { label, action: 'created' }, req.user);
+  } catch (error) {
+    // Created concurrently under the same name
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Label already exists' });
+    }
+    next(error);
+  }
+});
+
+// @route   PUT /api/projects/:id/labels/:labelId
+// @desc    Rename or recolor a label
+// @access  Private (Project owner/admin)
+router.put('/:id/labels/:labelId', checkProjectAccess, requireProjectPermission('project:update'), [
+  body('name').optional().trim().notEmpty().withMessage('Label name cannot be empty')
+    .isLength({ max: 50 }).withMessage('Label name must be less than 50 characters'),
+  labelColorValidator
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
+
+    const label = await Label.findOne({ _id: req.params.labelId, project: req.project._id });
+    if (!label) {
+      return res.status(404).json({ message: 'Label not found' });
+    }
+
+    const { name, color } = req.body;
+
+    if (name) {
+      const existing = await findLabelByName(req.project._id, name);
+      if (existing && !existing._id.equals(label._id)) {
+        return res.status(400).json({ message: `A label named "${name}" already exists in this project` });
+      }
+      label.name = name;
+    }
+    if (color) label.color = color;
+
+    await label.save();
+
+    res.json(label);
+    emitToProject(req.project._id, 'labels.updated', { label, action: 'updated' }, req.user);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid label ID format' });
+    }
+    if (error.code === 11000) {
+      return res.status(400).json({ message: 'Label already exists' });
+    }
+    next(error);
+  }
+});
+
+// @route   DELETE /api/projects/:id/labels/:labelId
+// @desc    Delete a label and remove it from every task
+// @access  Private (Project owner/admin)
+router.delete('/:id/labels/:labelId', checkProjectAccess, requireProjectPermission('project:update'), async (req, res, next) => {
+  try {
+    const label = await Label.findOneAndDelete({ _id: req.params.labelId, project: req.project._id });
+    if (!label) {
+      return res.status(404).json({ message: 'Label not found' });
+    }
+
+    await Task.updateMany({ labels: label._id }, { $pull: { labels: label._id } });
+
+    res.json({ message: 'Label deleted successfully' });
+    emitToProject(req.project._id, 'labels.updated', { label, action: 'deleted' }, req.user);
+  } catch (error) {
+    if (error.name === 'CastError') {
+      return res.status(400).json({ message: 'Invalid label ID format' });
+    }
+    next(error);
+  }
+});
+
 export default router;
 
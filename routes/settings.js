@@ -0,0 +1,61 @@
+import express from 'express';
+import Setting, { SETTING_DEFAULTS } from '../models/Setting.js';
+import { protect, isAdmin } from '../middleware/auth.js';
+
+const router = express.Router();
+
+// All routes are admin only
+router.use(protect, isAdmin);
+
+// @route   GET /api/settings
+// @desc    Get admin settings (defaults filled in)
+// @access  Private (Admin only)
+router.get('/', async (req, res, next) => {
+  try {
+    res.json(await Setting.getAll());
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/settings
+// @desc    Update one or more admin settings
+// @access  Private (Admin only)
+router.put('/', async (req, res, next) => {
+  try {
+    const updates = req.body || {};
+    const keys = Object.keys(updates);
+
+    if (keys.length === 0) {
+      return res.status(400).json({ message: 'No settings provided' });
+    }
+
+    for (const key of keys) {
+      if (!(key in SETTING_DEFAULTS)) {
+        return res.status(400).json({ message: `Unknown setting "${key}"` });
+      }
+      if (typeof updates[key] !== typeof SETTING_DEFAULTS[key]) {
+        return res.status(400).json({ message: `Setting "${key}" must be a ${typeof SETTING_DEFAULTS[key]}` });
+      }
+    }
+
+    // Don't let an admin lock themselves out of admin features
+    if (updates.requireAdminTwoFactor === true && !req.user.twoFactor.enabled) {
+      return res.status(400).json({
+        message: 'Enable two-factor authentication on your own account before requiring it for admins'
+      });
+    }
+
+    await Promise.all(keys.map((key) => Setting.findOneAndUpdate(
+      { key },
+      { value: updates[key], updatedBy: req.user._id },
+      { upsert: true, new: true, runValidators: true }
+    )));
+
+    res.json(await Setting.getAll());
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -1,12 +1,47 @@
 import express from "express";
 import { body, validationResult } from "express-validator";
+import mongoose from "mongoose";
 import Task from "../models/Task.js";
+import Label from "../models/Label.js";
 import Activity from "../models/Activity.js";
 import User from "../models/User.js";
-import { protect, checkProjectAccess } from "../middleware/auth.js";
+import {
+  protect,
+  checkProjectAccess,
+  checkTaskAccess,
+  taskAccess,
+  hasProjectAccess,
+  hasProjectPermission,
+  requireProjectPermission,
+  accessibleProjectsQuery,
+} from "../middleware/auth.js";
 import { sendTaskAssignmentEmail } from "../utils/emailService.js";
+import { notifyInBackground } from "../utils/notifications.js";
 import multer from "multer";
-import { uploadToR2, deleteFromR2 } from "../utils/cloudflareR2.js";
+import { uploadToR2 } from "../utils/cloudflareR2.js";
+import { deleteStoredObjects } from "../utils/storageCleanup.js";
+import { buildOpenTaskFilter } from "../utils/workflow.js";
+import { resolveWorkspace } from "../middleware/workspace.js";
+import { emitToProject } from "../utils/realtime.js";
+import { paginate, parseLimit } from "../utils/pagination.js";
+import { computeRank, rankAtTop } from "../utils/ranking.js";
+import { withProgress } from "../utils/taskProgress.js";
+import {
+  validateRecurrence,
+  createNextOccurrence,
+} from "../utils/recurrence.js";
+import {
+  getOpenBlockers,
+  findOpenBlockerIds,
+  wouldCreateCycle,
+} from "../utils/dependencies.js";
+import {
+  archivedFilter,
+  purgeDate,
+  trashTask,
+  restoreTask,
+  purgeTask,
+} from "../utils/trash.js";
 
 // Use memory storage for multer since we'll upload directly to R2
 const storage = multer.memoryStorage();
@@ -32,16 +67,156 @@ const upload = multer({
   },
 });
 
+// Fields GET /api/tasks can sort by (each must be a plain Task path for cursors)
+const SORTABLE_FIELDS = [
+  "createdAt",
+  "updatedAt",
+  "dueDate",
+  "title",
+  "priority",
+  "status",
+  "position",
+];
+
+const populateTask = (query) =>
+  query
+    .populate("project", "name color")
+    .populate("assignees", "name email avatar")
+    .populate("watchers", "name email avatar")
+    .populate("createdBy", "name email avatar")
+    .populate("checklist.assignee", "name email avatar")
+    .populate("labels", "name color");
+
+// Assignee IDs from a request body: `assignees` (array) or the legacy single
+// `assignee`; undefined when neither is present
+const parseAssigneeIds = (body) => {
+  if (body.assignees !== undefined) {
+    return Array.isArray(body.assignees) ? body.assignees : null;
+  }
+  if (body.assignee !== undefined) {
+    return body.assignee ? [body.assignee] : [];
+  }
+  return undefined;
+};
+
+// Load users who may be assigned to or watch a task of the project, or null
+// if any ID is invalid or the user has no access to the project
+const resolveProjectUsers = async (project, userIds) => {
+  if (!Array.isArray(userIds)) return null;
+  const uniqueIds = [...new Set(userIds.map(String))];
+  if (!uniqueIds.every((id) => mongoose.isValidObjectId(id))) return null;
+
+  const users = await User.find({ _id: { $in: uniqueIds } }).select(
+    "name email role"
+  );
+  if (users.length !== uniqueIds.length) return null;
+  if (!users.every((user) => hasProjectAccess(project, user))) return null;
+
+  return uniqueIds.map((id) => users.find((user) => user._id.toString() === id));
+};
+
+const sendAssignmentEmail = (
+  user,
+  task,
+  project,
+  assigner,
+  unsubscribeToken
+) =>
+  sendTaskAssignmentEmail(
+    user.email,
+    task.title,
+    project.name,
+    assigner.name,
+    unsubscribeToken,
+    user.locale
+  );
+
+// Record one task_assigned activity per newly assigned user, then notify
+// them in the background (emailing those who want assignment emails)
+const notifyAssigned = async (task, project, users, assigner) => {
+  for (const user of users) {
+    await Activity.create({
+      type: "task_assigned",
+      description: `${assigner.name} assigned task "${task.title}" to ${user.name}`,
+      project: task.project,
+      task: task._id,
+      user: assigner._id,
+      metadata: { assigneeId: user._id },
+    });
+  }
+
+  notifyInBackground({
+    recipients: users,
+    type: "task_assigned",
+    message: `${assigner.name} assigned you to "${task.title}" in ${project.name}`,
+    actor: assigner,
+    project: task.project,
+    task,
+    sendEmail: (user, unsubscribeToken) =>
+      sendAssignmentEmail(user, task, project, assigner, unsubscribeToken),
+  });
+};
+
+// Create the next occurrence when a recurring task enters a done column
+const spawnNextOccurrence = async (task, actor) => {
+  const nextTask = await createNextOccurrence(task, actor);
+  if (nextTask) {
+    const populatedNext = await populateTask(Task.findById(nextTask._id));
+    emitToProject(nextTask.project, "task.created", populatedNext, actor);
+  }
+  return nextTask;
+};
+
+const recordUnassigned = async (task, users, actor) => {
+  for (const user of users) {
+    await Activity.create({
+      type: "task_unassigned",
+      description: `${actor.name} unassigned task "${task.title}" from ${user.name}`,
+      project: task.project,
+      task: task._id,
+      user: actor._id,
+      metadata: { assigneeId: user._id },
+    });
+  }
+};
+
+// Load the labels with the given IDs, or null if any is not a label of the project
+const resolveLabels = async (projectId, labelIds) => {
+  if (!Array.isArray(labelIds)) return null;
+  const uniqueIds = [...new Set(labelIds.map(String))];
+  if (!uniqueIds.every((id) => mongoose.isValidObjectId(id))) return null;
+
+  const labels = await Label.find({ _id: { $in: uniqueIds }, project: projectId });
+  return labels.length === uniqueIds.length ? labels : null;
+};
+
+// 409 body listing the open blockers that keep a task out of "done"
+const blockedResponse = (blockers) => ({
+  message: "Task is blocked by open tasks and cannot be moved to a done column",
+  blockers: blockers.map((blocker) => ({
+    _id: blocker._id,
+    title: blocker.title,
+    status: blocker.status,
+  })),
+});
+
 const router = express.Router();
 
 // All routes require authentication
 router.use(protect);
 
 // @route   GET /api/tasks
-// @desc    Get tasks with filters
+// @desc    Get tasks of the current workspace with filters (cursor-paginated: limit, cursor; archived=true|all)
 // @access  Private
-router.get("/", async (req, res, next) => {
+router.get("/", resolveWorkspace, async (req, res, next) => {
   try {
+    const archived = archivedFilter(req.query.archived);
+    if (!archived) {
+      return res
+        .status(400)
+        .json({ message: "archived must be true, false or all" });
+    }
+
     const {
       projectId,
       assignee,
@@ -53,14 +228,78 @@ router.get("/", async (req, res, next) => {
       sortOrder = "desc",
     } = req.query;
 
-    const query = {};
+    const query = { ...archived };
+    const Project = (await import("../models/Project.js")).default;
 
+    // Restrict results to projects the caller can access
+    let projects;
     if (projectId) {
-      query.project = projectId;
+      if (!String(projectId).match(/^[0-9a-fA-F]{24}$/)) {
+        return res.status(400).json({ message: "Invalid project ID format" });
+      }
+
+      const project = await Project.findById(projectId).select(
+        "owner members columns"
+      );
+      if (!project) {
+        return res.status(404).json({ message: "Project not found" });
+      }
+      if (!hasProjectAccess(project, req.user)) {
+        return res.status(403).json({
+          message: "Access denied. You are not a member of this project",
+        });
+      }
+
+      projects = [project];
+      query.project = project._id;
+    } else {
+      // Accessible projects of the current workspace (all of them for admins);
+      // tasks of archived projects only show up when asking for archived items
+      projects = await Project.find({
+        ...accessibleProjectsQuery(req.user, req.workspace._id),
+        ...(req.query.archived === "true" || req.query.archived === "all"
+          ? {}
+          : { archivedAt: null }),
+      }).select("columns");
+      query.project = { $in: projects.map((project) => project._id) };
     }
 
     if (assignee) {
-      query.assignee = assignee;
+      // Matches tasks where the user is any of the assignees
+      query.assignees = assignee;
+    }
+
+    if (req.query.watcher) {
+      query.watchers = req.query.watcher;
+    }
+
+    if (req.query.labels) {
+      // Comma-separated label IDs; labelMatch=all requires every label
+      const labelIds = String(req.query.labels)
+        .split(",")
+        .map((id) => id.trim())
+        .filter(Boolean);
+      if (!labelIds.every((id) => mongoose.isValidObjectId(id))) {
+        return res.status(400).json({ message: "Invalid label ID format" });
+      }
+      query.labels =
+        req.query.labelMatch === "all" ? { $all: labelIds } : { $in: labelIds };
+    }
+
+    if (req.query.blocked === "true" || req.query.blocked === "false") {
+      // A task is blocked while any of its blockers is open
+      const openBlockerIds = await findOpenBlockerIds(
+        query.project ? { project: query.project } : {}
+      );
+      query.blockedBy =
+        req.query.blocked === "true"
+          ? { $in: openBlockerIds }
+          : { $nin: openBlockerIds };
+    }
+
+    if (req.query.parentId) {
+      // "none" lists top-level tasks only
+      query.parent = req.query.parentId === "none" ? null : req.query.parentId;
     }
 
     if (status) {
@@ -80,10 +319,12 @@ router.get("/", async (req, res, next) => {
       nextWeek.setDate(nextWeek.getDate() + 7);
 
       switch (dueDate) {
-        case "overdue":
+        case "overdue": {
           query.dueDate = { $lt: today };
-          query.status = { $ne: "Done" };
+          // "Done" columns are configured per project
+          Object.assign(query, buildOpenTaskFilter(projects));
           break;
+        }
         case "today":
           query.dueDate = { $gte: today, $lt: tomorrow };
           break;
@@ -109,18 +350,27 @@ router.get("/", async (req, res, next) => {
       }
     }
 
+    if (!SORTABLE_FIELDS.includes(sortBy)) {
+      return res.status(400).json({
+        message: `Invalid sort field. Must be one of: ${SORTABLE_FIELDS.join(", ")}`,
+      });
+    }
+
     const sortOptions = {};
     // Sort by position first (for drag-and-drop ordering), then by the specified sort field
     sortOptions["position"] = 1;
-    sortOptions[sortBy] = sortOrder === "asc" ? 1 : -1;
+    if (sortBy !== "position") {
+      sortOptions[sortBy] = sortOrder === "asc" ? 1 : -1;
+    }
 
-    const tasks = await Task.find(query)
-      .populate("project", "name color")
-      .populate("assignee", "name email avatar")
-      .populate("createdBy", "name email avatar")
-      .sort(sortOptions);
+    const page = await paginate(Task, query, {
+      sort: sortOptions,
+      limit: parseLimit(req.query.limit),
+      cursor: req.query.cursor,
+      populate: populateTask,
+    });
 
-    res.json(tasks);
+    res.json({ ...page, items: await withProgress(page.items) });
   } catch (error) {
     next(error);
   }
@@ -133,153 +383,171 @@ router.get("/:id", async (req, res, next) => {
   try {
     const task = await Task.findById(req.params.id)
       .populate("project", "name color owner members")
-      .populate("assignee", "name email avatar")
-      .populate("createdBy", "name email avatar");
+      .populate("assignees", "name email avatar")
+      .populate("watchers", "name email avatar")
+      .populate("createdBy", "name email avatar")
+      .populate("checklist.assignee", "name email avatar")
+      .populate("labels", "name color");
 
-    if (!task) {
+    // The project is missing when it is in the trash
+    if (!task || !task.project) {
       return res.status(404).json({ message: "Task not found" });
     }
 
-    const Project = (await import("../models/Project.js")).default;
-    const project = await Project.findById(task.project._id);
-    const isOwner = project.owner.toString() === req.user._id.toString();
-    const isMember = project.members.some(
-      (member) => member.toString() === req.user._id.toString()
-    );
-
-    if (!isOwner && !isMember) {
+    if (!hasProjectAccess(task.project, req.user)) {
       return res.status(403).json({ message: "Access denied" });
     }
 
-    res.json(task);
+    const [taskWithProgress] = await withProgress([task]);
+    res.json(taskWithProgress);
   } catch (error) {
     next(error);
   }
 });
 
-// @route   POST /api/tasks
-// @desc    Create a new task
-// @access  Private
-router.post(
-  "/",
-  checkProjectAccess,
-  [
-    body("title")
-      .trim()
-      .notEmpty()
-      .withMessage("Task title is required")
-      .isLength({ min: 3 })
-      .withMessage("Task title must be at least 3 characters")
-      .isLength({ max: 200 })
-      .withMessage("Task title must be less than 200 characters"),
-    body("description")
-      .optional()
-      .isLength({ max: 1000 })
-      .withMessage("Description must be less than 1000 characters"),
-    body("dueDate")
-      .optional()
-      .isISO8601()
-      .withMessage("Invalid due date format"),
-  ],
-  async (req, res, next) => {
-    try {
-      const errors = validationResult(req);
-      if (!errors.isEmpty()) {
-        return res.status(400).json({ message: errors.array()[0].msg });
-      }
-
-      const { title, description, status, priority, dueDate, assignee } =
-        req.body;
+const taskValidators = [
+  body("title")
+    .trim()
+    .notEmpty()
+    .withMessage("Task title is required")
+    .isLength({ min: 3 })
+    .withMessage("Task title must be at least 3 characters")
+    .isLength({ max: 200 })
+    .withMessage("Task title must be less than 200 characters"),
+  body("description")
+    .optional()
+    .isLength({ max: 1000 })
+    .withMessage("Description must be less than 1000 characters"),
+  body("dueDate")
+    .optional()
+    .isISO8601()
+    .withMessage("Invalid due date format"),
+  body("parentId")
+    .optional({ values: "null" })
+    .isMongoId()
+    .withMessage("Invalid parent task ID"),
+  body("labels").optional().isArray().withMessage("Labels must be an array"),
+  body("recurrence")
+    .optional({ values: "null" })
+    .custom((rule) => {
+      const error = validateRecurrence(rule);
+      if (error) throw new Error(error);
+      return true;
+    }),
+];
+
+// Shared by POST /api/tasks and POST /api/tasks/:id/subtasks; expects
+// req.project to be set by checkProjectAccess or checkTaskAccess
+const createTask = async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
 
-      const task = await Task.create({
-        title,
-        description: description || "",
-        status: status || "To Do",
-        priority: priority || "Medium",
-        dueDate: dueDate || null,
-        project: req.params.projectId || req.body.projectId,
-        assignee: assignee || null,
-        createdBy: req.user._id,
-      });
+    const { title, description, status, priority, dueDate } = req.body;
+    const parentId = req.body.parentId || null;
 
-      await Activity.create({
-        type: "task_created",
-        description: `${req.user.name} created task "${title}"`,
-        project: task.project,
-        task: task._id,
-        user: req.user._id,
-      });
+    const assignees = await resolveProjectUsers(
+      req.project,
+      parseAssigneeIds(req.body) || []
+    );
+    if (!assignees) {
+      return res
+        .status(400)
+        .json({ message: "Assignees must be members of the task's project" });
+    }
 
-      // Send response first, then handle email asynchronously
-      const populatedTask = await Task.findById(task._id)
-        .populate("project", "name color")
-        .populate("assignee", "name email avatar")
-        .populate("createdBy", "name email avatar");
+    if (status && !req.project.hasColumn(status)) {
+      return res
+        .status(400)
+        .json({ message: `Invalid status "${status}" for this project` });
+    }
 
-      // Send response immediately (don't wait for email)
-      res.status(201).json(populatedTask);
+    let subtaskOrder = 0;
+    if (parentId) {
+      const parent = await Task.findOne({
+        _id: parentId,
+        project: req.project._id,
+      }).select("_id");
+      if (!parent) {
+        return res
+          .status(400)
+          .json({ message: "Parent task not found in this project" });
+      }
+      subtaskOrder = await Task.countDocuments({ parent: parentId });
+    }
 
-      // Handle email and activity asynchronously (non-blocking)
-      if (assignee) {
-        // Use setImmediate to ensure response is sent first
-        setImmediate(async () => {
-          try {
-            const assignedUser = await User.findById(assignee);
-            if (assignedUser) {
-              await Activity.create({
-                type: "task_assigned",
-                description: `${req.user.name} assigned task "${title}" to ${assignedUser.name}`,
-                project: task.project,
-                task: task._id,
-                user: req.user._id,
-              });
-
-              const project = await (
-                await import("../models/Project.js")
-              ).default.findById(task.project);
-
-              // Send email with timeout to prevent hanging
-              const emailPromise = sendTaskAssignmentEmail(
-                assignedUser.email,
-                title,
-                project.name,
-                req.user.name
-              );
-
-              // Set 10 second timeout for email sending
-              const timeoutPromise = new Promise((resolve) => {
-                setTimeout(
-                  () => resolve({ success: false, reason: "Email timeout" }),
-                  10000
-                );
-              });
-
-              const emailResult = await Promise.race([
-                emailPromise,
-                timeoutPromise,
-              ]);
-
-              if (emailResult.success) {
-                console.log(
-                  `✅ Task assignment email sent to ${assignedUser.email}`
-                );
-              } else {
-                console.warn(
-                  `⚠️  Failed to send task assignment email to ${
-                    assignedUser.email
-                  }: ${emailResult.reason || emailResult.error}`
-                );
-              }
-            }
-          } catch (error) {
-            console.error("Error in async email/activity handling:", error);
-          }
-        });
+    let labels = [];
+    if (req.body.labels) {
+      labels = await resolveLabels(req.project._id, req.body.labels);
+      if (!labels) {
+        return res
+          .status(400)
+          .json({ message: "Labels must belong to the task's project" });
       }
-    } catch (error) {
-      next(error);
     }
+
+    const initialStatus = status || req.project.getDefaultStatus();
+
+    const task = await Task.create({
+      title,
+      description: description || "",
+      status: initialStatus,
+      position: await rankAtTop(req.project._id, initialStatus),
+      priority: priority || "Medium",
+      dueDate: dueDate || null,
+      project: req.project._id,
+      assignees: assignees.map((user) => user._id),
+      createdBy: req.user._id,
+      parent: parentId,
+      subtaskOrder,
+      labels: labels.map((label) => label._id),
+      recurrence: req.body.recurrence
+        ? { ...req.body.recurrence, occurrence: 1 }
+        : null,
+    });
+
+    await Activity.create({
+      type: "task_created",
+      description: `${req.user.name} created task "${title}"`,
+      project: task.project,
+      task: task._id,
+      user: req.user._id,
+    });
+
+    // Send response first, then handle email asynchronously
+    const populatedTask = await populateTask(Task.findById(task._id));
+
+    // Send response immediately (don't wait for email)
+    res.status(201).json(populatedTask);
+    emitToProject(task.project, "task.created", populatedTask, req.user);
+
+    // Handle email and activity asynchronously (non-blocking)
+    if (assignees.length > 0) {
+      // Use setImmediate to ensure response is sent first
+      setImmediate(async () => {
+        try {
+          await notifyAssigned(task, req.project, assignees, req.user);
+        } catch (error) {
+          console.error("Error in async email/activity handling:", error);
+        }
+      });
+    }
+  } catch (error) {
+    next(error);
   }
+};
+
+// @route   POST /api/tasks
+// @desc    Create a new task (pass parentId to create a subtask)
+// @access  Private
+router.post(
+  "/",
+  checkProjectAccess,
+  requireProjectPermission("tasks:edit"),
+  taskValidators,
+  createTask
 );
 
 // @route   PUT /api/tasks/:id
@@ -294,13 +562,10 @@ router.put("/:id", async (req, res, next) => {
 
     const Project = (await import("../models/Project.js")).default;
     const project = await Project.findById(task.project);
-    const isAdmin = req.user.role === "admin";
-    const isOwner = project.owner.toString() === req.user._id.toString();
-    const isMember = project.members.some(
-      (member) => member.toString() === req.user._id.toString()
-    );
-
-    if (!isAdmin && !isOwner && !isMember) {
+    if (!project) {
+      return res.status(404).json({ message: "Project not found" });
+    }
+    if (!hasProjectPermission(project, req.user, "tasks:edit")) {
       return res.status(403).json({ message: "Access denied" });
     }
 
@@ -310,25 +575,114 @@ router.put("/:id", async (req, res, next) => {
       status,
       priority,
       dueDate,
-      assignee,
       position,
+      labels,
     } = req.body;
     const oldStatus = task.status;
-    const oldAssignee = task.assignee?.toString();
+    const oldAssigneeIds = task.assignees.map((id) => id.toString());
+
+    const { recurrence } = req.body;
+    if (recurrence) {
+      const recurrenceError = validateRecurrence(recurrence);
+      if (recurrenceError) {
+        return res.status(400).json({ message: recurrenceError });
+      }
+    }
+
+    const assigneeIds = parseAssigneeIds(req.body);
+    let newAssignees = null;
+    if (assigneeIds !== undefined) {
+      newAssignees = await resolveProjectUsers(project, assigneeIds);
+      if (!newAssignees) {
+        return res
+          .status(400)
+          .json({ message: "Assignees must be members of the task's project" });
+      }
+    }
+    const oldLabelIds = task.labels.map((id) => id.toString());
+
+    let newLabels = null;
+    if (labels !== undefined) {
+      newLabels = await resolveLabels(task.project, labels || []);
+      if (!newLabels) {
+        return res
+          .status(400)
+          .json({ message: "Labels must belong to the task's project" });
+      }
+    }
+
+    if (status && !project.hasColumn(status)) {
+      return res
+        .status(400)
+        .json({ message: `Invalid status "${status}" for this project` });
+    }
+
+    if (
+      status &&
+      project.isDoneStatus(status) &&
+      !project.isDoneStatus(oldStatus)
+    ) {
+      const openBlockers = await getOpenBlockers(task);
+      if (openBlockers.length > 0) {
+        return res.status(409).json(blockedResponse(openBlockers));
+      }
+    }
 
     if (title) task.title = title;
     if (description !== undefined) task.description = description;
     if (status) task.status = status;
     if (priority) task.priority = priority;
     if (dueDate !== undefined) task.dueDate = dueDate;
-    // Handle assignee: allow null/empty string to unassign
-    if (assignee !== undefined) {
-      task.assignee = assignee || null; // Set to null if empty string or null
+    // A changed due date gets its own reminders
+    if (task.isModified("dueDate")) {
+      task.remindedOffsets = [];
+      task.overdueNoticeSentAt = null;
     }
+    // An empty list (or legacy null/empty assignee) unassigns everyone
+    if (newAssignees) task.assignees = newAssignees.map((user) => user._id);
     if (position !== undefined) task.position = position;
+    if (newLabels) task.labels = newLabels.map((label) => label._id);
+    if (recurrence !== undefined) {
+      // Keep the position in the series when the rule is edited
+      task.recurrence = recurrence
+        ? { ...recurrence, occurrence: task.recurrence?.occurrence || 1 }
+        : null;
+      // An edited rule (e.g. a later endDate) may continue an ended series
+      task.recurrenceEndedAt = null;
+    }
 
     await task.save();
 
+    if (newLabels) {
+      const newLabelIds = newLabels.map((label) => label._id.toString());
+      const added = newLabels.filter(
+        (label) => !oldLabelIds.includes(label._id.toString())
+      );
+      const removedIds = oldLabelIds.filter((id) => !newLabelIds.includes(id));
+
+      if (added.length > 0 || removedIds.length > 0) {
+        const removed = await Label.find({ _id: { $in: removedIds } }).select(
+          "name"
+        );
+        const changes = [
+          ...added.map((label) => `added "${label.name}"`),
+          ...removed.map((label) => `removed "${label.name}"`),
+        ];
+
+        await Activity.create({
+          type: "task_labels_changed",
+          description: `${req.user.name} ${changes.join(", ") || "changed labels"} on task "${task.title}"`,
+          project: task.project,
+          task: task._id,
+          user: req.user._id,
+          metadata: {
+            addedLabels: added.map((label) => label._id),
+            removedLabels: removedIds,
+          },
+        });
+      }
+    }
+
     if (oldStatus !== task.status) {
       await Activity.create({
         type: "task_status_changed",
@@ -338,71 +692,41 @@ router.put("/:id", async (req, res, next) => {
         user: req.user._id,
         metadata: { oldStatus, newStatus: task.status },
       });
+
+      if (
+        task.parent &&
+        project.isDoneStatus(task.status) &&
+        !project.isDoneStatus(oldStatus)
+      ) {
+        await Activity.create({
+          type: "subtask_completed",
+          description: `${req.user.name} completed subtask "${task.title}"`,
+          project: task.project,
+          task: task.parent,
+          user: req.user._id,
+          metadata: { subtaskId: task._id },
+        });
+      }
+
+      if (project.isDoneStatus(task.status) && !project.isDoneStatus(oldStatus)) {
+        await spawnNextOccurrence(task, req.user);
+      }
     }
 
     // Handle assignment changes (including unassignment)
-    if (
-      assignee !== undefined &&
-      oldAssignee !== (assignee || null)?.toString()
-    ) {
-      if (assignee && assignee !== null) {
-        // Task was assigned to someone
-        const assignedUser = await User.findById(assignee);
-        if (assignedUser) {
-          await Activity.create({
-            type: "task_assigned",
-            description: `${req.user.name} assigned task "${task.title}" to ${assignedUser.name}`,
-            project: task.project,
-            task: task._id,
-            user: req.user._id,
-          });
-
-          // Send email with timeout to prevent hanging
-          const emailPromise = sendTaskAssignmentEmail(
-            assignedUser.email,
-            task.title,
-            project.name,
-            req.user.name
-          );
-
-          // Set 10 second timeout for email sending
-          const timeoutPromise = new Promise((resolve) => {
-            setTimeout(
-              () => resolve({ success: false, reason: "Email timeout" }),
-              10000
-            );
-          });
-
-          const emailResult = await Promise.race([
-            emailPromise,
-            timeoutPromise,
-          ]);
-
-          if (emailResult.success) {
-            console.log(
-              `✅ Task assignment email sent to ${assignedUser.email}`
-            );
-          } else {
-            console.warn(
-              `⚠️  Failed to send task assignment email to ${
-                assignedUser.email
-              }: ${emailResult.reason || emailResult.error}`
-            );
-          }
-        }
-      } else if (oldAssignee) {
-        // Task was unassigned (had an assignee before, now null/empty)
-        const oldAssignedUser = await User.findById(oldAssignee);
-        if (oldAssignedUser) {
-          await Activity.create({
-            type: "task_unassigned",
-            description: `${req.user.name} unassigned task "${task.title}" from ${oldAssignedUser.name}`,
-            project: task.project,
-            task: task._id,
-            user: req.user._id,
-          });
-        }
-      }
+    if (newAssignees) {
+      const added = newAssignees.filter(
+        (user) => !oldAssigneeIds.includes(user._id.toString())
+      );
+      const newAssigneeIds = newAssignees.map((user) => user._id.toString());
+      const removed = await User.find({
+        _id: {
+          $in: oldAssigneeIds.filter((id) => !newAssigneeIds.includes(id)),
+        },
+      }).select("name");
+
+      await notifyAssigned(task, project, added, req.user);
+      await recordUnassigned(task, removed, req.user);
     }
 
     await Activity.create({
@@ -413,82 +737,51 @@ router.put("/:id", async (req, res, next) => {
       user: req.user._id,
     });
 
-    const populatedTask = await Task.findById(task._id)
-      .populate("project", "name color")
-      .populate("assignee", "name email avatar")
-      .populate("createdBy", "name email avatar");
+    const populatedTask = await populateTask(Task.findById(task._id));
 
     res.json(populatedTask);
-  } catch (error) {
-    next(error);
-  }
-});
-
-// @route   DELETE /api/tasks/:id
-// @desc    Delete task
-// @access  Private
-router.delete("/:id", async (req, res, next) => {
-  try {
-    const task = await Task.findById(req.params.id);
-    if (!task) {
-      return res.status(404).json({ message: "Task not found" });
-    }
-
-    const Project = (await import("../models/Project.js")).default;
-    const project = await Project.findById(task.project);
-    const isAdmin = req.user.role === "admin";
-    const isOwner = project.owner.toString() === req.user._id.toString();
-    const isMember = project.members.some(
-      (member) => member.toString() === req.user._id.toString()
-    );
-
-    if (!isAdmin && !isOwner && !isMember) {
-      return res.status(403).json({ message: "Access denied" });
-    }
-
-    await Activity.create({
-      type: "task_deleted",
-      description: `${req.user.name} deleted task "${task.title}"`,
-      project: task.project,
-      task: task._id,
-      user: req.user._id,
-    });
 
-    // Delete attachments from R2 if they exist
-    if (task.attachments && task.attachments.length > 0) {
-      for (const attachment of task.attachments) {
-        if (attachment.key) {
-          try {
-            await deleteFromR2(attachment.key);
-          } catch (r2Error) {
-            console.error(
-              "Error deleting attachment from R2 (continuing anyway):",
-              r2Error
-            );
-            // Continue even if R2 deletion fails
-          }
-        }
-      }
+    if (oldStatus !== task.status) {
+      emitToProject(
+        task.project,
+        "task.moved",
+        { task: populatedTask, oldStatus, newStatus: task.status },
+        req.user
+      );
+    } else {
+      emitToProject(task.project, "task.updated", populatedTask, req.user);
     }
-
-    await Task.findByIdAndDelete(req.params.id);
-
-    res.json({ message: "Task deleted successfully" });
   } catch (error) {
     next(error);
   }
 });
 
-// @route   POST /api/tasks/:id/attachments
-// @desc    Upload attachment to task
+// @route   POST /api/tasks/:id/move
+// @desc    Move a task within or across columns (drag-and-drop).
+//          `beforeTaskId` is the task that will sit directly above it and
+//          `afterTaskId` the one directly below; omit both to append.
 // @access  Private
 router.post(
-  "/:id/attachments",
-  upload.single("file"),
+  "/:id/move",
+  [
+    body("status")
+      .optional()
+      .isString()
+      .withMessage("Status must be a string"),
+    body("beforeTaskId")
+      .optional({ values: "null" })
+      .isMongoId()
+      .withMessage("Invalid beforeTaskId"),
+    body("afterTaskId")
+      .optional({ values: "null" })
+      .isMongoId()
+      .withMessage("Invalid afterTaskId"),
+  ],
   async (req, res, next) => {
     try {
-      if (!req.file) {
-        return res.status(400).json({ message: "No file uploaded" });
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: errors.array()[0].msg });
       }
 
       const task = await Task.findById(req.params.id);
@@ -501,97 +794,963 @@ router.post(
       if (!project) {
         return res.status(404).json({ message: "Project not found" });
       }
+      if (!hasProjectPermission(project, req.user, "tasks:edit")) {
+        return res.status(403).json({ message: "Access denied" });
+      }
 
-      const isOwner = project.owner.toString() === req.user._id.toString();
-      const isMember = project.members.some(
-        (member) => member.toString() === req.user._id.toString()
-      );
+      const { beforeTaskId, afterTaskId } = req.body;
+      const status = req.body.status || task.status;
 
-      if (!isOwner && !isMember) {
-        return res.status(403).json({ message: "Access denied" });
+      if (!project.hasColumn(status)) {
+        return res
+          .status(400)
+          .json({ message: `Invalid status "${status}" for this project` });
       }
 
-      // Upload to Cloudflare R2
-      const uploadResult = await uploadToR2(
-        req.file.buffer,
-        req.file.originalname,
-        req.file.mimetype
-      );
+      // Neighbours must already sit in the target column
+      const loadNeighbour = async (neighbourId) => {
+        if (!neighbourId) return null;
+        if (neighbourId === task._id.toString()) return undefined;
+        const neighbour = await Task.findOne({
+          _id: neighbourId,
+          project: task.project,
+          status,
+        }).select("position");
+        return neighbour || undefined;
+      };
+
+      const [before, after] = await Promise.all([
+        loadNeighbour(beforeTaskId),
+        loadNeighbour(afterTaskId),
+      ]);
+
+      if (before === undefined || after === undefined) {
+        return res.status(409).json({
+          message:
+            "Neighbouring tasks are no longer in the target column. Refresh the board and try again.",
+        });
+      }
 
-      // Save attachment info to task
-      task.attachments.push({
-        filename: uploadResult.filename,
-        originalName: uploadResult.originalName,
-        url: uploadResult.url,
-        key: uploadResult.key,
-        size: uploadResult.size,
-        uploadedAt: new Date(),
+      if (project.isDoneStatus(status) && !project.isDoneStatus(task.status)) {
+        const openBlockers = await getOpenBlockers(task);
+        if (openBlockers.length > 0) {
+          return res.status(409).json(blockedResponse(openBlockers));
+        }
+      }
+
+      if (before && after && before.position > after.position) {
+        return res.status(409).json({
+          message:
+            "Neighbouring tasks are out of order. Refresh the board and try again.",
+        });
+      }
+
+      const position = await computeRank({
+        projectId: task.project,
+        status,
+        before,
+        after,
+        excludeId: task._id,
       });
 
-      await task.save();
+      const oldStatus = task.status;
 
-      const populatedTask = await Task.findById(task._id)
-        .populate("project", "name color")
-        .populate("assignee", "name email avatar")
-        .populate("createdBy", "name email avatar");
+      // Single atomic write; siblings are never renumbered here
+      const movedTask = await populateTask(
+        Task.findByIdAndUpdate(
+          task._id,
+          { $set: { status, position } },
+          { new: true }
+        )
+      );
 
-      res.json(populatedTask);
+      await Activity.create({
+        type: "task_moved",
+        description:
+          oldStatus !== status
+            ? `${req.user.name} moved task "${task.title}" from "${oldStatus}" to "${status}"`
+            : `${req.user.name} reordered task "${task.title}" in "${status}"`,
+        project: task.project,
+        task: task._id,
+        user: req.user._id,
+        metadata: { oldStatus, newStatus: status, position },
+      });
+
+      if (project.isDoneStatus(status) && !project.isDoneStatus(oldStatus)) {
+        await spawnNextOccurrence(await Task.findById(task._id), req.user);
+      }
+
+      res.json(movedTask);
+      emitToProject(
+        task.project,
+        "task.moved",
+        { task: movedTask, oldStatus, newStatus: status },
+        req.user
+      );
     } catch (error) {
-      console.error("Error uploading attachment:", error);
       next(error);
     }
   }
 );
 
-// @route   DELETE /api/tasks/:id/attachments/:attachmentId
-// @desc    Delete attachment from task
+// @route   DELETE /api/tasks/:id
+// @desc    Move task and its subtasks to the trash (purged after TRASH_RETENTION_DAYS); dryRun=true reports what purging it removes
 // @access  Private
-router.delete("/:id/attachments/:attachmentId", async (req, res, next) => {
-  try {
-    const task = await Task.findById(req.params.id);
-    if (!task) {
-      return res.status(404).json({ message: "Task not found" });
-    }
-
-    const Project = (await import("../models/Project.js")).default;
-    const project = await Project.findById(task.project);
-    if (!project) {
-      return res.status(404).json({ message: "Project not found" });
-    }
+router.delete(
+  "/:id",
+  checkTaskAccess,
+  requireProjectPermission("tasks:edit"),
+  async (req, res, next) => {
+    try {
+      const task = req.task;
+      if (req.query.dryRun === "true") {
+        return res.json({
+          dryRun: true,
+          wouldDelete: await purgeTask(task, { dryRun: true }),
+        });
+      }
 
-    const isOwner = project.owner.toString() === req.user._id.toString();
-    const isMember = project.members.some(
-      (member) => member.toString() === req.user._id.toString()
-    );
+      const subtaskIds = await trashTask(task, req.user);
 
-    if (!isOwner && !isMember) {
-      return res.status(403).json({ message: "Access denied" });
-    }
+      await Activity.create({
+        type: "task_deleted",
+        description: `${req.user.name} deleted task "${task.title}"`,
+        project: task.project,
+        task: task._id,
+        user: req.user._id,
+      });
 
-    const attachment = task.attachments.id(req.params.attachmentId);
-    if (!attachment) {
-      return res.status(404).json({ message: "Attachment not found" });
+      res.json({
+        message: "Task moved to trash",
+        purgeAt: purgeDate(task.deletedAt),
+      });
+      emitToProject(
+        task.project,
+        "task.deleted",
+        { taskId: task._id, subtaskIds, trashed: true },
+        req.user
+      );
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   POST /api/tasks/:id/restore
+// @desc    Restore a task and the subtasks deleted with it from the trash
+// @access  Private
+router.post(
+  "/:id/restore",
+  taskAccess({ includeDeleted: true }),
+  requireProjectPermission("tasks:edit"),
+  async (req, res, next) => {
+    try {
+      const task = req.task;
+      if (!task.deletedAt) {
+        return res.status(400).json({ message: "Task is not in the trash" });
+      }
+
+      if (task.parent && !(await Task.exists({ _id: task.parent }))) {
+        return res
+          .status(400)
+          .json({ message: "Restore the parent task first" });
+      }
+
+      const subtaskIds = await restoreTask(task, req.project);
+
+      await Activity.create({
+        type: "task_restored",
+        description: `${req.user.name} restored task "${task.title}" from the trash`,
+        project: task.project,
+        task: task._id,
+        user: req.user._id,
+        metadata: { subtaskIds },
+      });
+
+      const restoredTask = await populateTask(Task.findById(task._id));
+      const [taskWithProgress] = await withProgress([restoredTask]);
+
+      res.json(taskWithProgress);
+      emitToProject(task.project, "task.created", restoredTask, req.user);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   POST /api/tasks/:id/archive
+// @desc    Archive task (hidden from default listings)
+// @access  Private
+router.post(
+  "/:id/archive",
+  checkTaskAccess,
+  requireProjectPermission("tasks:edit"),
+  async (req, res, next) => {
+    try {
+      const task = req.task;
+      if (task.archivedAt) {
+        return res.status(400).json({ message: "Task is already archived" });
+      }
+
+      task.archivedAt = new Date();
+      task.archivedBy = req.user._id;
+      await task.save();
+
+      await Activity.create({
+        type: "task_archived",
+        description: `${req.user.name} archived task "${task.title}"`,
+        project: task.project,
+        task: task._id,
+        user: req.user._id,
+      });
+
+      const archivedTask = await populateTask(Task.findById(task._id));
+      const [taskWithProgress] = await withProgress([archivedTask]);
+
+      res.json(taskWithProgress);
+      emitToProject(task.project, "task.updated", archivedTask, req.user);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   POST /api/tasks/:id/unarchive
+// @desc    Unarchive task
+// @access  Private
+router.post(
+  "/:id/unarchive",
+  checkTaskAccess,
+  requireProjectPermission("tasks:edit"),
+  async (req, res, next) => {
+    try {
+      const task = req.task;
+      if (!task.archivedAt) {
+        return res.status(400).json({ message: "Task is not archived" });
+      }
+
+      task.archivedAt = null;
+      task.archivedBy = null;
+      await task.save();
+
+      await Activity.create({
+        type: "task_unarchived",
+        description: `${req.user.name} unarchived task "${task.title}"`,
+        project: task.project,
+        task: task._id,
+        user: req.user._id,
+      });
+
+      const unarchivedTask = await populateTask(Task.findById(task._id));
+      const [taskWithProgress] = await withProgress([unarchivedTask]);
+
+      res.json(taskWithProgress);
+      emitToProject(task.project, "task.updated", unarchivedTask, req.user);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   GET /api/tasks/:id/subtasks
+// @desc    Get subtasks of a task, in subtask order (archived=true|all to include archived ones)
+// @access  Private
+router.get("/:id/subtasks", checkTaskAccess, async (req, res, next) => {
+  try {
+    const archived = archivedFilter(req.query.archived);
+    if (!archived) {
+      return res
+        .status(400)
+        .json({ message: "archived must be true, false or all" });
+    }
+
+    const subtasks = await populateTask(
+      Task.find({ parent: req.task._id, ...archived }).sort({
+        subtaskOrder: 1,
+        _id: 1,
+      })
+    );
+
+    res.json(await withProgress(subtasks));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tasks/:id/subtasks
+// @desc    Create a subtask (same body as POST /api/tasks)
+// @access  Private
+router.post(
+  "/:id/subtasks",
+  checkTaskAccess,
+  requireProjectPermission("tasks:edit"),
+  (req, res, next) => {
+    req.body.parentId = req.task._id.toString();
+    next();
+  },
+  taskValidators,
+  createTask
+);
+
+// @route   PUT /api/tasks/:id/subtasks/reorder
+// @desc    Reorder subtasks (taskIds in the new order)
+// @access  Private
+router.put(
+  "/:id/subtasks/reorder",
+  checkTaskAccess,
+  requireProjectPermission("tasks:edit"),
+  [body("taskIds").isArray().withMessage("taskIds must be an array")],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: errors.array()[0].msg });
+      }
+
+      const { taskIds } = req.body;
+      const subtasks = await Task.find({ parent: req.task._id }).select("_id");
+      const currentIds = subtasks.map((subtask) => subtask._id.toString());
+
+      const isPermutation =
+        taskIds.length === currentIds.length &&
+        new Set(taskIds.map(String)).size === currentIds.length &&
+        taskIds.every((id) => currentIds.includes(String(id)));
+
+      if (!isPermutation) {
+        return res.status(400).json({
+          message: "taskIds must list every subtask of the task exactly once",
+        });
+      }
+
+      await Task.bulkWrite(
+        taskIds.map((id, index) => ({
+          updateOne: {
+            filter: { _id: id },
+            update: { $set: { subtaskOrder: index } },
+          },
+        }))
+      );
+
+      const reordered = await populateTask(
+        Task.find({ parent: req.task._id }).sort({ subtaskOrder: 1, _id: 1 })
+      );
+
+      res.json(await withProgress(reordered));
+    } catch (error) {
+      next(error);
     }
+  }
+);
+
+// Respond with the task (and its progress) after a checklist change
+const sendChecklistUpdate = async (req, res) => {
+  const populatedTask = await populateTask(Task.findById(req.task._id));
+  const [taskWithProgress] = await withProgress([populatedTask]);
+
+  res.json(taskWithProgress);
+  emitToProject(req.task.project, "task.updated", taskWithProgress, req.user);
+};
+
+// @route   POST /api/tasks/:id/checklist
+// @desc    Add a checklist item
+// @access  Private
+router.post(
+  "/:id/checklist",
+  checkTaskAccess,
+  requireProjectPermission("tasks:edit"),
+  [
+    body("text")
+      .trim()
+      .notEmpty()
+      .withMessage("Checklist item text is required")
+      .isLength({ max: 500 })
+      .withMessage("Checklist item must be less than 500 characters"),
+    body("assignee")
+      .optional({ values: "null" })
+      .isMongoId()
+      .withMessage("Invalid assignee ID"),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: errors.array()[0].msg });
+      }
 
-    // Delete from Cloudflare R2 if key exists
-    if (attachment.key) {
-      try {
-        await deleteFromR2(attachment.key);
-      } catch (r2Error) {
-        console.error("Error deleting from R2 (continuing anyway):", r2Error);
-        // Continue even if R2 deletion fails
+      const { text, assignee } = req.body;
+      if (assignee && !(await resolveProjectUsers(req.project, [assignee]))) {
+        return res.status(400).json({
+          message: "Checklist assignee must be a member of the task's project",
+        });
       }
+
+      const order = req.task.checklist.reduce(
+        (max, item) => Math.max(max, item.order + 1),
+        0
+      );
+
+      req.task.checklist.push({ text, assignee: assignee || null, order });
+      await req.task.save();
+
+      await sendChecklistUpdate(req, res);
+    } catch (error) {
+      next(error);
     }
+  }
+);
+
+// @route   PUT /api/tasks/:id/checklist/reorder
+// @desc    Reorder checklist items (itemIds in the new order)
+// @access  Private
+router.put(
+  "/:id/checklist/reorder",
+  checkTaskAccess,
+  requireProjectPermission("tasks:edit"),
+  [body("itemIds").isArray().withMessage("itemIds must be an array")],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: errors.array()[0].msg });
+      }
+
+      const { itemIds } = req.body;
+      const currentIds = req.task.checklist.map((item) => item._id.toString());
+
+      const isPermutation =
+        itemIds.length === currentIds.length &&
+        new Set(itemIds.map(String)).size === currentIds.length &&
+        itemIds.every((id) => currentIds.includes(String(id)));
 
+      if (!isPermutation) {
+        return res.status(400).json({
+          message: "itemIds must list every checklist item exactly once",
+        });
+      }
+
+      itemIds.forEach((id, index) => {
+        req.task.checklist.id(id).order = index;
+      });
+      req.task.checklist.sort((a, b) => a.order - b.order);
+      await req.task.save();
+
+      await sendChecklistUpdate(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   PUT /api/tasks/:id/checklist/:itemId
+// @desc    Edit or toggle a checklist item
+// @access  Private
+router.put(
+  "/:id/checklist/:itemId",
+  checkTaskAccess,
+  requireProjectPermission("tasks:edit"),
+  [
+    body("text")
+      .optional()
+      .trim()
+      .notEmpty()
+      .withMessage("Checklist item text cannot be empty")
+      .isLength({ max: 500 })
+      .withMessage("Checklist item must be less than 500 characters"),
+    body("done").optional().isBoolean().withMessage("done must be a boolean"),
+    body("assignee")
+      .optional({ values: "null" })
+      .isMongoId()
+      .withMessage("Invalid assignee ID"),
+  ],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: errors.array()[0].msg });
+      }
+
+      const item = req.task.checklist.id(req.params.itemId);
+      if (!item) {
+        return res.status(404).json({ message: "Checklist item not found" });
+      }
+
+      const { text, done, assignee } = req.body;
+      if (assignee && !(await resolveProjectUsers(req.project, [assignee]))) {
+        return res.status(400).json({
+          message: "Checklist assignee must be a member of the task's project",
+        });
+      }
+
+      const wasDone = item.done;
+
+      if (text !== undefined) item.text = text;
+      if (assignee !== undefined) item.assignee = assignee || null;
+      if (done !== undefined) {
+        item.done = done === true || done === "true";
+        item.completedAt = item.done ? item.completedAt || new Date() : null;
+        item.completedBy = item.done ? item.completedBy || req.user._id : null;
+      }
+
+      await req.task.save();
+
+      if (item.done && !wasDone) {
+        await Activity.create({
+          type: "checklist_item_completed",
+          description: `${req.user.name} completed "${item.text}" on task "${req.task.title}"`,
+          project: req.task.project,
+          task: req.task._id,
+          user: req.user._id,
+          metadata: { itemId: item._id },
+        });
+      }
+
+      await sendChecklistUpdate(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   DELETE /api/tasks/:id/checklist/:itemId
+// @desc    Delete a checklist item
+// @access  Private
+router.delete(
+  "/:id/checklist/:itemId",
+  checkTaskAccess,
+  requireProjectPermission("tasks:edit"),
+  async (req, res, next) => {
+    try {
+      if (!req.task.checklist.id(req.params.itemId)) {
+        return res.status(404).json({ message: "Checklist item not found" });
+      }
+
+      req.task.checklist.pull(req.params.itemId);
+      await req.task.save();
+
+      await sendChecklistUpdate(req, res);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   GET /api/tasks/:id/dependencies
+// @desc    Get tasks this task is blocked by and tasks it blocks
+// @access  Private
+router.get("/:id/dependencies", checkTaskAccess, async (req, res, next) => {
+  try {
+    const [blockedBy, blocks] = await Promise.all([
+      Task.find({ _id: { $in: req.task.blockedBy } })
+        .select("title status project")
+        .populate("project", "name color columns"),
+      Task.find({ blockedBy: req.task._id })
+        .select("title status project")
+        .populate("project", "name color columns"),
+    ]);
+
+    const format = (task) => ({
+      _id: task._id,
+      title: task.title,
+      status: task.status,
+      project: task.project && {
+        _id: task.project._id,
+        name: task.project.name,
+        color: task.project.color,
+      },
+      isDone: Boolean(task.project && task.project.isDoneStatus(task.status)),
+    });
+
+    res.json({
+      blockedBy: blockedBy.map(format),
+      blocks: blocks.map(format),
+      isBlocked: blockedBy.some((task) => !format(task).isDone),
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/tasks/:id/dependencies
+// @desc    Mark this task as blocked by another task (blockerId)
+// @access  Private
+router.post(
+  "/:id/dependencies",
+  checkTaskAccess,
+  requireProjectPermission("tasks:edit"),
+  [body("blockerId").isMongoId().withMessage("Invalid blocker task ID")],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: errors.array()[0].msg });
+      }
+
+      const { blockerId } = req.body;
+
+      if (blockerId === req.task._id.toString()) {
+        return res.status(400).json({ message: "A task cannot block itself" });
+      }
+
+      const blocker = await Task.findById(blockerId).populate(
+        "project",
+        "owner members"
+      );
+      if (!blocker) {
+        return res.status(404).json({ message: "Blocker task not found" });
+      }
+
+      // Cross-project links need access to both projects
+      if (!blocker.project || !hasProjectAccess(blocker.project, req.user)) {
+        return res.status(403).json({
+          message: "Access denied. You are not a member of the blocker's project",
+        });
+      }
+
+      if (req.task.blockedBy.some((id) => id.toString() === blockerId)) {
+        return res
+          .status(400)
+          .json({ message: "Task is already blocked by this task" });
+      }
+
+      if (await wouldCreateCycle(req.task._id, blocker._id)) {
+        return res.status(400).json({
+          message: "This dependency would create a cycle",
+        });
+      }
+
+      // Atomic add so concurrent requests cannot duplicate the link
+      await Task.updateOne(
+        { _id: req.task._id },
+        { $addToSet: { blockedBy: blocker._id } }
+      );
+
+      await Activity.create({
+        type: "dependency_added",
+        description: `${req.user.name} marked task "${req.task.title}" as blocked by "${blocker.title}"`,
+        project: req.task.project,
+        task: req.task._id,
+        user: req.user._id,
+        metadata: { blockerId: blocker._id },
+      });
+
+      const populatedTask = await populateTask(Task.findById(req.task._id));
+
+      res.status(201).json(populatedTask);
+      emitToProject(req.task.project, "task.updated", populatedTask, req.user);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   DELETE /api/tasks/:id/dependencies/:blockerId
+// @desc    Remove a "blocked by" link
+// @access  Private
+router.delete(
+  "/:id/dependencies/:blockerId",
+  checkTaskAccess,
+  requireProjectPermission("tasks:edit"),
+  async (req, res, next) => {
+    try {
+      const { blockerId } = req.params;
+
+      if (!req.task.blockedBy.some((id) => id.toString() === blockerId)) {
+        return res.status(404).json({ message: "Dependency not found" });
+      }
+
+      await Task.updateOne(
+        { _id: req.task._id },
+        { $pull: { blockedBy: blockerId } }
+      );
+
+      const blocker = await Task.findById(blockerId).select("title");
+
+      await Activity.create({
+        type: "dependency_removed",
+        description: `${req.user.name} removed the dependency of "${req.task.title}" on "${blocker?.title || "a deleted task"}"`,
+        project: req.task.project,
+        task: req.task._id,
+        user: req.user._id,
+        metadata: { blockerId },
+      });
+
+      const populatedTask = await populateTask(Task.findById(req.task._id));
+
+      res.json(populatedTask);
+      emitToProject(req.task.project, "task.updated", populatedTask, req.user);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   POST /api/tasks/:id/assignees
+// @desc    Add an assignee (userId)
+// @access  Private
+router.post(
+  "/:id/assignees",
+  checkTaskAccess,
+  requireProjectPermission("tasks:edit"),
+  [body("userId").isMongoId().withMessage("Invalid user ID")],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: errors.array()[0].msg });
+      }
+
+      const users = await resolveProjectUsers(req.project, [req.body.userId]);
+      if (!users) {
+        return res
+          .status(400)
+          .json({ message: "Assignees must be members of the task's project" });
+      }
+
+      const result = await Task.updateOne(
+        { _id: req.task._id, assignees: { $ne: users[0]._id } },
+        { $push: { assignees: users[0]._id } }
+      );
+      if (result.modifiedCount === 0) {
+        return res
+          .status(400)
+          .json({ message: "User is already assigned to this task" });
+      }
+
+      await notifyAssigned(req.task, req.project, users, req.user);
+
+      const populatedTask = await populateTask(Task.findById(req.task._id));
+
+      res.json(populatedTask);
+      emitToProject(req.task.project, "task.updated", populatedTask, req.user);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   DELETE /api/tasks/:id/assignees/:userId
+// @desc    Remove an assignee
+// @access  Private
+router.delete(
+  "/:id/assignees/:userId",
+  checkTaskAccess,
+  requireProjectPermission("tasks:edit"),
+  async (req, res, next) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.userId)) {
+        return res.status(400).json({ message: "Invalid user ID format" });
+      }
+
+      const result = await Task.updateOne(
+        { _id: req.task._id, assignees: req.params.userId },
+        { $pull: { assignees: req.params.userId } }
+      );
+      if (result.modifiedCount === 0) {
+        return res
+          .status(404)
+          .json({ message: "User is not assigned to this task" });
+      }
+
+      const removedUser = await User.findById(req.params.userId).select("name");
+      if (removedUser) {
+        await recordUnassigned(req.task, [removedUser], req.user);
+      }
+
+      const populatedTask = await populateTask(Task.findById(req.task._id));
+
+      res.json(populatedTask);
+      emitToProject(req.task.project, "task.updated", populatedTask, req.user);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   POST /api/tasks/:id/watchers
+// @desc    Add a watcher (userId, defaults to the current user)
+// @access  Private
+router.post(
+  "/:id/watchers",
+  checkTaskAccess,
+  [body("userId").optional().isMongoId().withMessage("Invalid user ID")],
+  async (req, res, next) => {
+    try {
+      const errors = validationResult(req);
+      if (!errors.isEmpty()) {
+        return res.status(400).json({ message: errors.array()[0].msg });
+      }
+
+      const userId = req.body.userId || req.user._id.toString();
+      if (
+        userId !== req.user._id.toString() &&
+        !hasProjectPermission(req.project, req.user, "tasks:edit")
+      ) {
+        return res
+          .status(403)
+          .json({ message: "You can only add yourself as a watcher" });
+      }
+
+      const users = await resolveProjectUsers(req.project, [userId]);
+      if (!users) {
+        return res
+          .status(400)
+          .json({ message: "Watchers must be members of the task's project" });
+      }
+
+      const result = await Task.updateOne(
+        { _id: req.task._id, watchers: { $ne: users[0]._id } },
+        { $push: { watchers: users[0]._id } }
+      );
+      if (result.modifiedCount === 0) {
+        return res
+          .status(400)
+          .json({ message: "User is already watching this task" });
+      }
+
+      const populatedTask = await populateTask(Task.findById(req.task._id));
+
+      res.json(populatedTask);
+      emitToProject(req.task.project, "task.updated", populatedTask, req.user);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   DELETE /api/tasks/:id/watchers/:userId
+// @desc    Remove a watcher
+// @access  Private
+router.delete(
+  "/:id/watchers/:userId",
+  checkTaskAccess,
+  async (req, res, next) => {
+    try {
+      if (!mongoose.isValidObjectId(req.params.userId)) {
+        return res.status(400).json({ message: "Invalid user ID format" });
+      }
+
+      if (
+        req.params.userId !== req.user._id.toString() &&
+        !hasProjectPermission(req.project, req.user, "tasks:edit")
+      ) {
+        return res
+          .status(403)
+          .json({ message: "You can only remove yourself as a watcher" });
+      }
+
+      const result = await Task.updateOne(
+        { _id: req.task._id, watchers: req.params.userId },
+        { $pull: { watchers: req.params.userId } }
+      );
+      if (result.modifiedCount === 0) {
+        return res
+          .status(404)
+          .json({ message: "User is not watching this task" });
+      }
+
+      const populatedTask = await populateTask(Task.findById(req.task._id));
+
+      res.json(populatedTask);
+      emitToProject(req.task.project, "task.updated", populatedTask, req.user);
+    } catch (error) {
+      next(error);
+    }
+  }
+);
+
+// @route   POST /api/tasks/:id/attachments
+// @desc    Upload attachment to task
+// @access  Private
+router.post(
+  "/:id/attachments",
+  upload.single("file"),
+  async (req, res, next) => {
+    try {
+      if (!req.file) {
+        return res.status(400).json({ message: "No file uploaded" });
+      }
+
+      const task = await Task.findById(req.params.id);
+      if (!task) {
+        return res.status(404).json({ message: "Task not found" });
+      }
+
+      const Project = (await import("../models/Project.js")).default;
+      const project = await Project.findById(task.project);
+      if (!project) {
+        return res.status(404).json({ message: "Project not found" });
+      }
+
+      if (!hasProjectPermission(project, req.user, "attachments:manage")) {
+        return res.status(403).json({ message: "Access denied" });
+      }
+
+      // Upload to Cloudflare R2
+      const uploadResult = await uploadToR2(
+        req.file.buffer,
+        req.file.originalname,
+        req.file.mimetype
+      );
+
+      // Save attachment info to task
+      task.attachments.push({
+        filename: uploadResult.filename,
+        originalName: uploadResult.originalName,
+        url: uploadResult.url,
+        key: uploadResult.key,
+        size: uploadResult.size,
+        uploadedAt: new Date(),
+      });
+
+      await task.save();
+
+      const populatedTask = await populateTask(Task.findById(task._id));
+
+      res.json(populatedTask);
+      emitToProject(task.project, "task.updated", populatedTask, req.user);
+    } catch (error) {
+      console.error("Error uploading attachment:", error);
+      next(error);
+    }
+  }
+);
+
+// @route   DELETE /api/tasks/:id/attachments/:attachmentId
+// @desc    Delete attachment from task
+// @access  Private
+router.delete("/:id/attachments/:attachmentId", async (req, res, next) => {
+  try {
+    const task = await Task.findById(req.params.id);
+    if (!task) {
+      return res.status(404).json({ message: "Task not found" });
+    }
+
+    const Project = (await import("../models/Project.js")).default;
+    const project = await Project.findById(task.project);
+    if (!project) {
+      return res.status(404).json({ message: "Project not found" });
+    }
+
+    if (!hasProjectPermission(project, req.user, "attachments:manage")) {
+      return res.status(403).json({ message: "Access denied" });
+    }
+
+    const attachment = task.attachments.id(req.params.attachmentId);
+    if (!attachment) {
+      return res.status(404).json({ message: "Attachment not found" });
+    }
+
+    const { key } = attachment;
     task.attachments.pull(req.params.attachmentId);
     await task.save();
 
-    const populatedTask = await Task.findById(task._id)
-      .populate("project", "name color")
-      .populate("assignee", "name email avatar")
-      .populate("createdBy", "name email avatar");
+    // Failed R2 deletions are retried by a background job
+    await deleteStoredObjects([key]);
+
+    const populatedTask = await populateTask(Task.findById(task._id));
 
     res.json(populatedTask);
+    emitToProject(task.project, "task.updated", populatedTask, req.user);
   } catch (error) {
     console.error("Error deleting attachment:", error);
     next(error);
@@ -0,0 +1,103 @@
+import express from 'express';
+import Project from '../models/Project.js';
+import Task from '../models/Task.js';
+import {
+  protect,
+  projectAccess,
+  taskAccess,
+  requireProjectPermission,
+  accessibleProjectsQuery,
+  hasProjectPermission
+} from '../middleware/auth.js';
+import { resolveWorkspace } from '../middleware/workspace.js';
+import { getRetentionDays, purgeDate, purgeProject, purgeTask } from '../utils/trash.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+// @route   GET /api/trash
+// @desc    List trashed projects and tasks of the current workspace the user can restore
+// @access  Private
+router.get('/', resolveWorkspace, async (req, res, next) => {
+  try {
+    const accessible = accessibleProjectsQuery(req.user, req.workspace._id);
+
+    const trashedProjects = await Project.find({ ...accessible, deletedAt: { $ne: null } })
+      .setOptions({ withDeleted: true })
+      .populate('deletedBy', 'name email avatar')
+      .sort({ deletedAt: -1 });
+
+    const projects = await Project.find(accessible).select('name color owner members memberRoles');
+    const editable = projects.filter(project => hasProjectPermission(project, req.user, 'tasks:edit'));
+
+    // Subtasks deleted along with their parent are restored with it, so only
+    // the task that was deleted is listed
+    const tasks = await Task.find({
+      project: { $in: editable.map(project => project._id) },
+      deletedAt: { $ne: null },
+      deletedWith: null
+    })
+      .setOptions({ withDeleted: true })
+      .select('title status priority project parent deletedAt deletedBy')
+      .populate('project', 'name color')
+      .populate('deletedBy', 'name email avatar')
+      .sort({ deletedAt: -1 });
+
+    res.json({
+      retentionDays: getRetentionDays(),
+      projects: trashedProjects
+        .filter(project => hasProjectPermission(project, req.user, 'project:delete'))
+        .map(project => ({ ...project.toJSON(), purgeAt: purgeDate(project.deletedAt) })),
+      tasks: tasks.map(task => ({ ...task.toJSON(), purgeAt: purgeDate(task.deletedAt) }))
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/trash/projects/:id
+// @desc    Permanently delete a trashed project with its tasks, comments, activities, labels and attachments (dryRun=true only reports counts)
+// @access  Private (Owner or Admin only)
+router.delete('/projects/:id', projectAccess({ includeDeleted: true }), requireProjectPermission('project:delete'), async (req, res, next) => {
+  try {
+    if (!req.project.deletedAt) {
+      return res.status(400).json({ message: 'Project is not in the trash' });
+    }
+
+    if (req.query.dryRun === 'true') {
+      return res.json({ dryRun: true, wouldDelete: await purgeProject(req.project, { dryRun: true }) });
+    }
+
+    const deleted = await purgeProject(req.project);
+    res.json({ message: 'Project permanently deleted', deleted });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/trash/tasks/:id
+// @desc    Permanently delete a trashed task with the subtasks deleted with it, their comments and attachments (dryRun=true only reports counts)
+// @access  Private
+router.delete('/tasks/:id', taskAccess({ includeDeleted: true }), requireProjectPermission('tasks:edit'), async (req, res, next) => {
+  try {
+    if (!req.task.deletedAt) {
+      return res.status(400).json({ message: 'Task is not in the trash' });
+    }
+    if (req.task.deletedWith) {
+      return res.status(400).json({ message: 'This subtask was deleted with its parent; delete the parent task instead' });
+    }
+
+    if (req.query.dryRun === 'true') {
+      return res.json({ dryRun: true, wouldDelete: await purgeTask(req.task, { dryRun: true }) });
+    }
+
+    const deleted = await purgeTask(req.task);
+    res.json({ message: 'Task permanently deleted', deleted });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
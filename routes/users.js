@@ -1,6 +1,10 @@
 import express from 'express';
 import User from '../models/User.js';
+import LoginAttempt from '../models/LoginAttempt.js';
 import { protect, isAdmin } from '../middleware/auth.js';
+import { resolveWorkspace, requireWorkspaceAdmin } from '../middleware/workspace.js';
+import { paginate, parseLimit } from '../utils/pagination.js';
+import { revokeAllSessions } from '../utils/sessions.js';
 
 const router = express.Router();
 
@@ -8,13 +12,13 @@ const router = express.Router();
 router.use(protect);
 
 // @route   GET /api/users
-// @desc    Get all users (for adding to projects)
-// @access  Private (All authenticated users can search for users to add to projects)
-router.get('/', async (req, res, next) => {
+// @desc    Get members of the current workspace (for adding to projects), cursor-paginated: limit, cursor
+// @access  Private (All workspace members can search for users to add to projects)
+router.get('/', resolveWorkspace, async (req, res, next) => {
   try {
     const { search } = req.query;
     
-    const query = {};
+    const query = { _id: { $in: req.workspace.getMemberIds() } };
     if (search) {
       query.$or = [
         { name: { $regex: search, $options: 'i' } },
@@ -22,12 +26,15 @@ router.get('/', async (req, res, next) => {
       ];
     }
 
-    const users = await User.find(query)
-      .select('name email avatar role _id')
-      .limit(20);
+    const page = await paginate(User, query, {
+      sort: { name: 1 },
+      limit: parseLimit(req.query.limit, 20),
+      cursor: req.query.cursor,
+      select: 'name email avatar role _id'
+    });
 
     // Format response to include both _id and id for compatibility
-    const formattedUsers = users.map(user => ({
+    const formattedUsers = page.items.map(user => ({
       _id: user._id,
       id: user._id.toString(),
       name: user.name,
@@ -36,19 +43,19 @@ router.get('/', async (req, res, next) => {
       role: user.role
     }));
 
-    res.json(formattedUsers);
+    res.json({ ...page, items: formattedUsers });
   } catch (error) {
     next(error);
   }
 });
 
 // @route   GET /api/users/:id
-// @desc    Get single user
+// @desc    Get single user of the current workspace
 // @access  Private
-router.get('/:id', async (req, res, next) => {
+router.get('/:id', resolveWorkspace, async (req, res, next) => {
   try {
     const user = await User.findById(req.params.id).select('name email avatar role');
-    if (!user) {
+    if (!user || (req.user.role !== 'admin' && !req.workspace.getMemberRole(user._id))) {
       return res.status(404).json({ message: 'User not found' });
     }
     res.json(user);
@@ -73,16 +80,19 @@ router.put('/:id/role', isAdmin, async (req, res, next) => {
       return res.status(400).json({ message: 'You cannot remove your own admin role' });
     }
 
-    const user = await User.findByIdAndUpdate(
-      req.params.id,
-      { role },
-      { new: true, runValidators: true }
-    ).select('name email avatar role _id');
+    const user = await User.findById(req.params.id).select('name email avatar role _id tokenVersion');
 
     if (!user) {
       return res.status(404).json({ message: 'User not found' });
     }
 
+    if (user.role !== role) {
+      user.role = role;
+      await user.save({ validateModifiedOnly: true });
+      // Sessions started under the old role must not survive the change
+      await revokeAllSessions(user._id);
+    }
+
     res.json(user);
   } catch (error) {
     next(error);
@@ -90,19 +100,74 @@ router.put('/:id/role', isAdmin, async (req, res, next) => {
 });
 
 // @route   GET /api/users/admin/all
-// @desc    Get all users with roles (Admin only)
+// @desc    Get all members of the current workspace with their roles, cursor-paginated: limit, cursor
+// @access  Private (Workspace admin or site admin)
+router.get('/admin/all', resolveWorkspace, requireWorkspaceAdmin, async (req, res, next) => {
+  try {
+    const page = await paginate(User, { _id: { $in: req.workspace.getMemberIds() } }, {
+      sort: { createdAt: -1 },
+      limit: parseLimit(req.query.limit),
+      cursor: req.query.cursor,
+      select: 'name email avatar role _id createdAt lockUntil'
+    });
+
+    const items = page.items.map(user => ({
+      ...user.toObject(),
+      workspaceRole: req.workspace.getMemberRole(user._id)
+    }));
+
+    res.json({ ...page, items });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/users/:id/unlock
+// @desc    Lift a login lockout and reset the failed attempt counter (Admin only)
 // @access  Private (Admin only)
-router.get('/admin/all', isAdmin, async (req, res, next) => {
+router.post('/:id/unlock', isAdmin, async (req, res, next) => {
   try {
-    const users = await User.find({})
-      .select('name email avatar role _id createdAt')
-      .sort({ createdAt: -1 });
+    const user = await User.findByIdAndUpdate(
+      req.params.id,
+      { $set: { failedLoginAttempts: 0, lockUntil: null } },
+      { new: true }
+    ).select('name email avatar role _id lockUntil');
 
-    res.json(users);
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    res.json({ message: 'User unlocked', user });
   } catch (error) {
     next(error);
   }
 });
 
-export default router;
+// @route   GET /api/users/:id/login-history
+// @desc    Get a user's login attempts (Admin only), cursor-paginated: limit, cursor
+// @access  Private (Admin only)
+router.get('/:id/login-history', isAdmin, async (req, res, next) => {
+  try {
+    const user = await User.findById(req.params.id).select('_id failedLoginAttempts lockUntil');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
 
+    const page = await paginate(LoginAttempt, { user: user._id }, {
+      sort: { createdAt: -1 },
+      limit: parseLimit(req.query.limit),
+      cursor: req.query.cursor,
+      select: 'email type success reason ip userAgent createdAt'
+    });
+
+    res.json({
+      ...page,
+      failedLoginAttempts: user.failedLoginAttempts,
+      lockUntil: user.lockUntil
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -0,0 +1,266 @@
+import express from 'express';
+import { body, validationResult } from 'express-validator';
+import Workspace, { WORKSPACE_ROLES } from '../models/Workspace.js';
+import Project from '../models/Project.js';
+import User from '../models/User.js';
+import { protect } from '../middleware/auth.js';
+import { requireWorkspaceAdmin } from '../middleware/workspace.js';
+import { createWorkspace, getDefaultWorkspace } from '../utils/workspaces.js';
+import { revokeProjectSubscriptions } from '../utils/realtime.js';
+import { notifyInBackground } from '../utils/notifications.js';
+
+const router = express.Router();
+
+// All routes require authentication
+router.use(protect);
+
+const populateWorkspace = (workspaceQuery) => workspaceQuery
+  .populate('members.user', 'name email avatar');
+
+// Load the workspace in :id for one of its members (or a site admin)
+const loadWorkspace = async (req, res, next) => {
+  try {
+    if (!req.params.id.match(/^[0-9a-fA-F]{24}$/)) {
+      return res.status(400).json({ message: 'Invalid workspace ID format' });
+    }
+
+    const workspace = await Workspace.findById(req.params.id);
+    if (!workspace) {
+      return res.status(404).json({ message: 'Workspace not found' });
+    }
+
+    const role = workspace.getMemberRole(req.user._id);
+    if (!role && req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. You are not a member of this workspace' });
+    }
+
+    req.workspace = workspace;
+    req.workspaceRole = role;
+    next();
+  } catch (error) {
+    next(error);
+  }
+};
+
+const countAdmins = (workspace) =>
+  workspace.members.filter(member => member.role === 'admin').length;
+
+// @route   GET /api/workspaces
+// @desc    Get the workspaces you belong to
+// @access  Private
+router.get('/', async (req, res, next) => {
+  try {
+    const current = await getDefaultWorkspace(req.user);
+    const workspaces = await Workspace.find({ 'members.user': req.user._id })
+      .select('name createdBy members createdAt')
+      .sort({ name: 1 });
+
+    res.json(workspaces.map(workspace => ({
+      _id: workspace._id,
+      name: workspace.name,
+      role: workspace.getMemberRole(req.user._id),
+      memberCount: workspace.members.length,
+      isCurrent: workspace._id.equals(current._id),
+      createdAt: workspace.createdAt
+    })));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/workspaces
+// @desc    Create a workspace (you become its admin) and switch to it
+// @access  Private
+router.post('/', [
+  body('name').trim().notEmpty().withMessage('Workspace name is required')
+    .isLength({ max: 100 }).withMessage('Workspace name must be less than 100 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
+
+    const workspace = await createWorkspace(req.user, req.body.name);
+
+    res.status(201).json(await populateWorkspace(Workspace.findById(workspace._id)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   GET /api/workspaces/:id
+// @desc    Get a workspace with its members
+// @access  Private (Workspace members)
+router.get('/:id', loadWorkspace, async (req, res, next) => {
+  try {
+    res.json(await populateWorkspace(Workspace.findById(req.workspace._id)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/workspaces/:id
+// @desc    Rename a workspace
+// @access  Private (Workspace admin)
+router.put('/:id', loadWorkspace, requireWorkspaceAdmin, [
+  body('name').trim().notEmpty().withMessage('Workspace name is required')
+    .isLength({ max: 100 }).withMessage('Workspace name must be less than 100 characters')
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
+
+    req.workspace.name = req.body.name;
+    await req.workspace.save();
+
+    res.json(await populateWorkspace(Workspace.findById(req.workspace._id)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/workspaces/:id/switch
+// @desc    Make a workspace your current one
+// @access  Private (Workspace members)
+router.post('/:id/switch', loadWorkspace, async (req, res, next) => {
+  try {
+    if (!req.workspaceRole) {
+      return res.status(403).json({ message: 'Access denied. You are not a member of this workspace' });
+    }
+
+    await User.updateOne({ _id: req.user._id }, { currentWorkspace: req.workspace._id });
+
+    res.json({ message: 'Workspace switched', workspaceId: req.workspace._id });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   POST /api/workspaces/:id/members
+// @desc    Add an existing user to a workspace (userId, optional role).
+//          Everyone else joins by accepting a project invitation.
+// @access  Private (Admin only)
+router.post('/:id/members', loadWorkspace, [
+  body('userId').isMongoId().withMessage('Invalid user ID'),
+  body('role').optional().isIn(WORKSPACE_ROLES).withMessage(`Role must be one of: ${WORKSPACE_ROLES.join(', ')}`)
+], async (req, res, next) => {
+  try {
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Invite users to a project in this workspace instead' });
+    }
+
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
+
+    const user = await User.findById(req.body.userId).select('_id');
+    if (!user) {
+      return res.status(404).json({ message: 'User not found' });
+    }
+
+    if (!req.workspace.addMember(user._id, req.body.role || 'member')) {
+      return res.status(400).json({ message: 'User is already a member of this workspace' });
+    }
+    await req.workspace.save();
+
+    res.json(await populateWorkspace(Workspace.findById(req.workspace._id)));
+    notifyInBackground({
+      recipients: [user._id],
+      type: 'member_added',
+      message: `${req.user.name} added you to the workspace "${req.workspace.name}"`,
+      actor: req.user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   PUT /api/workspaces/:id/members/:userId/role
+// @desc    Change a member's workspace role
+// @access  Private (Workspace admin)
+router.put('/:id/members/:userId/role', loadWorkspace, requireWorkspaceAdmin, [
+  body('role').isIn(WORKSPACE_ROLES).withMessage(`Role must be one of: ${WORKSPACE_ROLES.join(', ')}`)
+], async (req, res, next) => {
+  try {
+    const errors = validationResult(req);
+    if (!errors.isEmpty()) {
+      return res.status(400).json({ message: errors.array()[0].msg });
+    }
+
+    const member = req.workspace.members.find(entry => entry.user.toString() === req.params.userId);
+    if (!member) {
+      return res.status(404).json({ message: 'User is not a member of this workspace' });
+    }
+
+    if (member.role === 'admin' && req.body.role !== 'admin' && countAdmins(req.workspace) === 1) {
+      return res.status(400).json({ message: 'A workspace needs at least one admin' });
+    }
+
+    member.role = req.body.role;
+    await req.workspace.save();
+
+    res.json(await populateWorkspace(Workspace.findById(req.workspace._id)));
+  } catch (error) {
+    next(error);
+  }
+});
+
+// @route   DELETE /api/workspaces/:id/members/:userId
+// @desc    Remove a member from a workspace and all of its projects
+// @access  Private (Workspace admin, or the member themselves)
+router.delete('/:id/members/:userId', loadWorkspace, async (req, res, next) => {
+  try {
+    const { userId } = req.params;
+    const isSelf = userId === req.user._id.toString();
+
+    if (!isSelf && req.user.role !== 'admin' && req.workspaceRole !== 'admin') {
+      return res.status(403).json({ message: 'Access denied. Workspace admin only' });
+    }
+
+    const member = req.workspace.members.find(entry => entry.user.toString() === userId);
+    if (!member) {
+      return res.status(404).json({ message: 'User is not a member of this workspace' });
+    }
+
+    if (member.role === 'admin' && countAdmins(req.workspace) === 1) {
+      return res.status(400).json({ message: 'A workspace needs at least one admin' });
+    }
+
+    const ownedProjects = await Project.countDocuments({ workspace: req.workspace._id, owner: userId });
+    if (ownedProjects > 0) {
+      return res.status(400).json({
+        message: `User owns ${ownedProjects} project(s) in this workspace. Transfer ownership first`
+      });
+    }
+
+    const projects = await Project.find({ workspace: req.workspace._id, members: userId }).select('_id');
+    await Project.updateMany(
+      { workspace: req.workspace._id },
+      { $pull: { members: userId, memberRoles: { user: userId } } }
+    );
+
+    req.workspace.members = req.workspace.members.filter(entry => entry.user.toString() !== userId);
+    await req.workspace.save();
+
+    // Stop real-time delivery for projects they can no longer see
+    for (const project of projects) {
+      revokeProjectSubscriptions(project._id, userId);
+    }
+
+    res.json({ message: isSelf ? 'You have left the workspace' : 'Member removed from workspace' });
+    notifyInBackground({
+      recipients: [userId],
+      type: 'member_removed',
+      message: `${req.user.name} removed you from the workspace "${req.workspace.name}"`,
+      actor: req.user
+    });
+  } catch (error) {
+    next(error);
+  }
+});
+
+export default router;
@@ -51,7 +51,8 @@ const createAdmin = async () => {
       name,
       email,
       password,
-      role: 'admin'
+      role: 'admin',
+      emailVerified: true
     });
 
     console.log('✅ Admin user created successfully!');
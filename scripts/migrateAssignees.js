@@ -0,0 +1,39 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Task from '../models/Task.js';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: join(__dirname, '../.env') });
+
+// Converts the single `assignee` field of tasks created before multiple
+// assignees were supported into the `assignees` array.
+const migrateAssignees = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // The old field is no longer in the schema, so work on the raw collection
+    const assigned = await Task.collection.updateMany(
+      { assignee: { $type: 'objectId' } },
+      [{ $set: { assignees: ['$assignee'] } }, { $unset: 'assignee' }]
+    );
+    const unassigned = await Task.collection.updateMany(
+      { assignee: { $exists: true } },
+      [{ $set: { assignees: { $ifNull: ['$assignees', []] } } }, { $unset: 'assignee' }]
+    );
+
+    console.log(`✅ Migrated ${assigned.modifiedCount} assigned and ${unassigned.modifiedCount} unassigned task(s)`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating assignees:', error.message);
+    process.exit(1);
+  }
+};
+
+migrateAssignees();
@@ -0,0 +1,69 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Label from '../models/Label.js';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: join(__dirname, '../.env') });
+
+const CASE_INSENSITIVE = { locale: 'en', strength: 2 };
+
+// Replaces the case-sensitive unique index on label names with the
+// case-insensitive one from models/Label.js. Labels whose names differ only by
+// case are listed first and block the migration until they are renamed or
+// deleted. Safe to run more than once.
+const migrateLabelIndex = async () => {
+  try {
+    // The old index has the same name, so building the new one on connect
+    // would fail
+    await mongoose.connect(process.env.MONGODB_URI, { autoIndex: false });
+    console.log('Connected to MongoDB');
+
+    const duplicates = await Label.aggregate([
+      {
+        $group: {
+          _id: { project: '$project', name: '$name' },
+          names: { $push: '$name' },
+          count: { $sum: 1 }
+        }
+      },
+      { $match: { count: { $gt: 1 } } }
+    ]).collation(CASE_INSENSITIVE);
+
+    if (duplicates.length > 0) {
+      console.log('Labels whose names differ only by case (rename or delete all but one):');
+      for (const duplicate of duplicates) {
+        console.log(`  project ${duplicate._id.project}: ${duplicate.names.map(name => `"${name}"`).join(', ')}`);
+      }
+      console.error(`❌ Found ${duplicates.length} duplicate label name(s), index not changed`);
+      process.exit(1);
+    }
+
+    const indexes = await Label.collection.indexes();
+    const oldIndex = indexes.find(index =>
+      index.unique &&
+      JSON.stringify(index.key) === JSON.stringify({ project: 1, name: 1 }) &&
+      index.collation?.strength !== CASE_INSENSITIVE.strength
+    );
+
+    if (oldIndex) {
+      await Label.collection.dropIndex(oldIndex.name);
+      console.log(`Dropped case-sensitive index "${oldIndex.name}"`);
+    }
+
+    await Label.createIndexes();
+
+    console.log(`✅ Label names are unique per project regardless of case${oldIndex ? '' : ' (index was already up to date)'}`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating the label index:', error.message);
+    process.exit(1);
+  }
+};
+
+migrateLabelIndex();
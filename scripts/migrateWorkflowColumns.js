@@ -0,0 +1,54 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import Project, { DEFAULT_COLUMNS } from '../models/Project.js';
+import Task from '../models/Task.js';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: join(__dirname, '../.env') });
+
+// Gives projects created before configurable columns the default
+// To Do / In Progress / Done workflow and moves any task whose status
+// is not a column of its project into the project's first column.
+const migrateWorkflowColumns = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    // Query the raw collection so schema defaults don't mask missing columns
+    const projectsWithoutColumns = await Project.collection
+      .find({ $or: [{ columns: { $exists: false } }, { columns: { $size: 0 } }] })
+      .project({ _id: 1 })
+      .toArray();
+
+    for (const { _id } of projectsWithoutColumns) {
+      const project = await Project.findById(_id);
+      project.columns = DEFAULT_COLUMNS.map(column => ({ ...column }));
+      await project.save();
+    }
+    console.log(`✅ Added default columns to ${projectsWithoutColumns.length} project(s)`);
+
+    let movedTasks = 0;
+    const projects = await Project.find({}).select('columns');
+    for (const project of projects) {
+      const columnNames = project.columns.map(column => column.name);
+      const result = await Task.updateMany(
+        { project: project._id, status: { $nin: columnNames } },
+        { status: project.getDefaultStatus() }
+      );
+      movedTasks += result.modifiedCount;
+    }
+    console.log(`✅ Mapped ${movedTasks} task(s) with unknown status onto their project's first column`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating workflow columns:', error.message);
+    process.exit(1);
+  }
+};
+
+migrateWorkflowColumns();
@@ -0,0 +1,64 @@
+import dotenv from 'dotenv';
+import mongoose from 'mongoose';
+import User from '../models/User.js';
+import Project from '../models/Project.js';
+import Workspace from '../models/Workspace.js';
+import { fileURLToPath } from 'url';
+import { dirname, join } from 'path';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Load environment variables
+dotenv.config({ path: join(__dirname, '../.env') });
+
+// Moves data created before workspaces existed into one shared workspace:
+// every user joins it (site admins as workspace admins) and every project
+// without a workspace is placed in it. Safe to run more than once.
+const migrateWorkspaces = async () => {
+  try {
+    await mongoose.connect(process.env.MONGODB_URI);
+    console.log('Connected to MongoDB');
+
+    const name = process.argv[2] || 'Default Workspace';
+
+    const users = await User.find().select('_id role').sort({ createdAt: 1 });
+    if (users.length === 0) {
+      console.log('No users found, nothing to migrate');
+      process.exit(0);
+    }
+
+    let workspace = await Workspace.findOne({ name });
+    if (!workspace) {
+      const creator = users.find(user => user.role === 'admin') || users[0];
+      workspace = await Workspace.create({ name, createdBy: creator._id });
+      console.log(`Created workspace "${name}"`);
+    }
+
+    let added = 0;
+    for (const user of users) {
+      if (workspace.addMember(user._id, user.role === 'admin' ? 'admin' : 'member')) {
+        added += 1;
+      }
+    }
+    await workspace.save();
+
+    const projects = await Project.updateMany(
+      { workspace: null },
+      { $set: { workspace: workspace._id } }
+    );
+    const switched = await User.updateMany(
+      { currentWorkspace: null },
+      { $set: { currentWorkspace: workspace._id } }
+    );
+
+    console.log(`✅ Added ${added} user(s), moved ${projects.modifiedCount} project(s), set ${switched.modifiedCount} current workspace(s)`);
+
+    process.exit(0);
+  } catch (error) {
+    console.error('❌ Error migrating workspaces:', error.message);
+    process.exit(1);
+  }
+};
+
+migrateWorkspaces();
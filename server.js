@@ -15,6 +15,13 @@ import taskRoutes from "./routes/tasks.js";
 import userRoutes from "./routes/users.js";
 import commentRoutes from "./routes/comments.js";
 import activityRoutes from "./routes/activities.js";
+import settingRoutes from "./routes/settings.js";
+import invitationRoutes from "./routes/invitations.js";
+import workspaceRoutes from "./routes/workspaces.js";
+import trashRoutes from "./routes/trash.js";
+import notificationRoutes from "./routes/notifications.js";
+import { initRealtime } from "./utils/realtime.js";
+import { startJobs } from "./jobs/index.js";
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = path.dirname(__filename);
@@ -22,6 +29,12 @@ const __dirname = path.dirname(__filename);
 const app = express();
 const PORT = process.env.PORT;
 
+// Number of reverse proxies in front of the app, so req.ip is the client's
+// address (used for login rate limiting)
+if (process.env.TRUST_PROXY) {
+  app.set("trust proxy", parseInt(process.env.TRUST_PROXY) || 1);
+}
+
 // Middleware
 const allowedOrigins = process.env.FRONTEND_URL
   ? process.env.FRONTEND_URL.split(',').map((url) => url.trim())
@@ -57,6 +70,11 @@ app.use("/api/tasks", taskRoutes);
 app.use("/api/users", userRoutes);
 app.use("/api/comments", commentRoutes);
 app.use("/api/activities", activityRoutes);
+app.use("/api/settings", settingRoutes);
+app.use("/api/invitations", invitationRoutes);
+app.use("/api/workspaces", workspaceRoutes);
+app.use("/api/trash", trashRoutes);
+app.use("/api/notifications", notificationRoutes);
 
 // Health check
 app.get("/api/health", (req, res) => {
@@ -77,9 +95,12 @@ mongoose
   .connect(process.env.MONGODB_URI)
   .then(() => {
     console.log("Connected to MongoDB");
-    app.listen(PORT, () => {
+    const server = app.listen(PORT, () => {
       console.log(`Server running on port ${PORT}`);
     });
+    // Real-time board updates share the HTTP server (ws://host/api/ws)
+    initRealtime(server);
+    startJobs();
   })
   .catch((error) => {
     console.error("MongoDB connection error:", error);
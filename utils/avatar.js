@@ -0,0 +1,70 @@
+import sharp from "sharp";
+import { uploadToR2 } from "./cloudflareR2.js";
+import { deleteStoredObjects } from "./storageCleanup.js";
+
+// Square edge length in pixels of each stored avatar size
+export const AVATAR_SIZES = {
+  small: 64,
+  medium: 128,
+  large: 256,
+};
+
+export const MAX_AVATAR_BYTES = 5 * 1024 * 1024; // 5MB
+
+/**
+ * Resize an uploaded image to every avatar size and store them in R2
+ * @param {Buffer} buffer - Uploaded image
+ * @returns {Promise<{avatar: string, avatarSizes: Object, avatarKeys: string[]}>}
+ */
+export const uploadAvatar = async (buffer) => {
+  const uploads = await Promise.all(
+    Object.entries(AVATAR_SIZES).map(async ([name, size]) => {
+      const resized = await sharp(buffer)
+        .rotate() // honour EXIF orientation from phone cameras
+        .resize(size, size, { fit: "cover" })
+        .webp({ quality: 85 })
+        .toBuffer();
+      const result = await uploadToR2(
+        resized,
+        `${name}.webp`,
+        "image/webp",
+        "avatars"
+      );
+      return { name, url: result.url, key: result.key };
+    })
+  );
+
+  const avatarSizes = {};
+  for (const upload of uploads) {
+    avatarSizes[upload.name] = upload.url;
+  }
+
+  return {
+    avatar: avatarSizes.medium,
+    avatarSizes,
+    avatarKeys: uploads.map((upload) => upload.key),
+  };
+};
+
+/**
+ * Delete stored avatar files; failures are queued for retry, not thrown
+ * @param {string[]} keys - R2 keys from uploadAvatar
+ * @returns {Promise<void>}
+ */
+export const deleteAvatar = async (keys = []) => {
+  await deleteStoredObjects(keys);
+};
+
+/**
+ * Whether a buffer holds an image sharp can decode
+ * @param {Buffer} buffer
+ * @returns {Promise<boolean>}
+ */
+export const isReadableImage = async (buffer) => {
+  try {
+    const metadata = await sharp(buffer).metadata();
+    return Boolean(metadata.width && metadata.height);
+  } catch (error) {
+    return false;
+  }
+};
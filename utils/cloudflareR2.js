@@ -41,9 +41,15 @@ if (isR2Configured) {
  * @param {Buffer} fileBuffer - File buffer
  * @param {string} originalName - Original filename
  * @param {string} mimetype - File MIME type
+ * @param {string} [folder] - Key prefix inside the bucket (default: "attachments")
  * @returns {Promise<{filename: string, url: string, size: number}>}
  */
-export const uploadToR2 = async (fileBuffer, originalName, mimetype) => {
+export const uploadToR2 = async (
+  fileBuffer,
+  originalName,
+  mimetype,
+  folder = "attachments"
+) => {
   if (!isR2Configured || !r2Client) {
     throw new Error(
       "Cloudflare R2 is not configured. Please set the required environment variables in your .env file."
@@ -55,7 +61,7 @@ export const uploadToR2 = async (fileBuffer, originalName, mimetype) => {
       ? originalName.substring(originalName.lastIndexOf("."))
       : "";
     const uniqueFilename = `${randomUUID()}${fileExtension}`;
-    const key = `attachments/${uniqueFilename}`;
+    const key = `${folder}/${uniqueFilename}`;
 
     const command = new PutObjectCommand({
       Bucket: BUCKET_NAME,
@@ -103,9 +109,10 @@ export const uploadToR2 = async (fileBuffer, originalName, mimetype) => {
 };
 
 /**
- * Delete file from Cloudflare R2
+ * Delete file from Cloudflare R2 (deleting a missing key succeeds)
  * @param {string} key - File key in R2
  * @returns {Promise<void>}
+ * @throws If R2 rejects the request; callers queue a retry (see utils/storageCleanup.js)
  */
 export const deleteFromR2 = async (key) => {
   if (!isR2Configured || !r2Client) {
@@ -124,7 +131,7 @@ export const deleteFromR2 = async (key) => {
     await r2Client.send(command);
   } catch (error) {
     console.error("Error deleting from R2:", error);
-    // Don't throw error, just log it - file might already be deleted
+    throw new Error(`Failed to delete file from Cloudflare R2: ${error.message}`);
   }
 };
 
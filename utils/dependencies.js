@@ -0,0 +1,61 @@
+import Task from "../models/Task.js";
+
+const isOpen = (task) => task.project && !task.project.isDoneStatus(task.status);
+
+/**
+ * Blockers of a task that are not yet in a "done" column of their project
+ * @param {import('mongoose').Document} task - Task document
+ * @returns {Promise<Array<import('mongoose').Document>>}
+ */
+export const getOpenBlockers = async (task) => {
+  if (!task.blockedBy || task.blockedBy.length === 0) return [];
+
+  const blockers = await Task.find({ _id: { $in: task.blockedBy } })
+    .select("title status project")
+    .populate("project", "columns");
+
+  return blockers.filter(isOpen);
+};
+
+/**
+ * IDs of open tasks that block at least one task matching a filter
+ * @param {Object} taskFilter - Filter selecting the blocked tasks to consider
+ * @returns {Promise<Array<import('mongoose').Types.ObjectId>>}
+ */
+export const findOpenBlockerIds = async (taskFilter) => {
+  const blockerIds = await Task.distinct("blockedBy", taskFilter);
+  if (blockerIds.length === 0) return [];
+
+  const blockers = await Task.find({ _id: { $in: blockerIds } })
+    .select("status project")
+    .populate("project", "columns");
+
+  return blockers.filter(isOpen).map((blocker) => blocker._id);
+};
+
+/**
+ * Whether making `taskId` blocked by `blockerId` would close a cycle, i.e.
+ * `taskId` already (transitively) blocks `blockerId`
+ * @param {string} taskId - Task that would become blocked
+ * @param {string} blockerId - Proposed blocker
+ * @returns {Promise<boolean>}
+ */
+export const wouldCreateCycle = async (taskId, blockerId) => {
+  const target = taskId.toString();
+  const visited = new Set();
+  let frontier = [blockerId.toString()];
+
+  while (frontier.length > 0) {
+    if (frontier.includes(target)) return true;
+    frontier.forEach((id) => visited.add(id));
+
+    const tasks = await Task.find({ _id: { $in: frontier } }).select("blockedBy");
+    frontier = [
+      ...new Set(
+        tasks.flatMap((task) => task.blockedBy.map((id) => id.toString()))
+      ),
+    ].filter((id) => !visited.has(id));
+  }
+
+  return false;
+};
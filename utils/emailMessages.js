@@ -0,0 +1,138 @@
+/**
+ * Email copy per locale. `{name}` placeholders are filled in (and escaped in
+ * HTML) by utils/emailTemplates.js, and `**text**` is rendered bold in HTML.
+ * Keys missing from a locale fall back to English.
+ */
+export const EMAIL_MESSAGES = {
+  en: {
+    layout: {
+      signOff: "Best regards,",
+      team: "Team Task Manager",
+    },
+    greeting: "Hello,",
+    greetingName: "Hello {name},",
+    buttonFallback:
+      "If the button doesn't work, copy this link into your browser:",
+    unsubscribe:
+      "You can change which emails you get in your notification settings, or {link}.",
+    unsubscribeLink: "unsubscribe from all notification emails",
+    viewNotifications: "View notifications",
+    taskAssigned: {
+      subject: "New Task Assigned: {task}",
+      heading: "You've been assigned a new task!",
+      intro:
+        "**{assigner}** has assigned you a new task in the project **{project}**.",
+      outro:
+        "Please log in to your account to view the task details and get started.",
+    },
+    passwordReset: {
+      subject: "Reset your password",
+      heading: "Reset your password",
+      intro:
+        "We received a request to reset your password. The link below is valid for one hour and can only be used once.",
+      button: "Reset password",
+      outro:
+        "If you didn't ask for this, you can ignore this email; your password won't change.",
+    },
+    emailVerification: {
+      subject: "Verify your email address",
+      heading: "Verify your email address",
+      intro:
+        "Please confirm that this is your email address. The link below is valid for 24 hours.",
+      button: "Verify email",
+    },
+    accountLocked: {
+      subject: "Your account has been temporarily locked",
+      heading: "Your account has been temporarily locked",
+      intro:
+        "We noticed several failed attempts to sign in to your account, most recently from **{ip}**. To protect you, sign-in is blocked until **{lockUntil}**.",
+      unknownIp: "an unknown address",
+      outro: "If this wasn't you, we recommend resetting your password.",
+      button: "Reset password",
+    },
+    projectInvitation: {
+      subject: "{inviter} invited you to {project}",
+      heading: "You've been invited to a project!",
+      intro:
+        "**{inviter}** has invited you to join the project **{project}** as **{role}**.",
+      button: "View invitation",
+      outro:
+        "Don't have an account yet? You can sign up from the same link. The invitation expires on {expiresAt}.",
+    },
+    notification: {
+      heading: "You have a new notification",
+    },
+    notificationDigest: {
+      subject: "You have {count} unread notifications",
+      subjectOne: "You have 1 unread notification",
+      heading: "Your daily summary",
+      intro: "Here's what happened since your last summary:",
+    },
+  },
+  de: {
+    layout: {
+      signOff: "Viele Grüße",
+      team: "Ihr Team Task Manager",
+    },
+    greeting: "Hallo,",
+    greetingName: "Hallo {name},",
+    buttonFallback:
+      "Falls der Button nicht funktioniert, kopieren Sie diesen Link in Ihren Browser:",
+    unsubscribe:
+      "Welche E-Mails Sie erhalten, können Sie in Ihren Benachrichtigungseinstellungen ändern oder sich {link}.",
+    unsubscribeLink: "von allen Benachrichtigungs-E-Mails abmelden",
+    viewNotifications: "Benachrichtigungen ansehen",
+    taskAssigned: {
+      subject: "Neue Aufgabe zugewiesen: {task}",
+      heading: "Ihnen wurde eine neue Aufgabe zugewiesen!",
+      intro:
+        "**{assigner}** hat Ihnen eine neue Aufgabe im Projekt **{project}** zugewiesen.",
+      outro:
+        "Melden Sie sich an, um die Details der Aufgabe zu sehen und loszulegen.",
+    },
+    passwordReset: {
+      subject: "Passwort zurücksetzen",
+      heading: "Passwort zurücksetzen",
+      intro:
+        "Wir haben eine Anfrage zum Zurücksetzen Ihres Passworts erhalten. Der Link unten ist eine Stunde gültig und kann nur einmal verwendet werden.",
+      button: "Passwort zurücksetzen",
+      outro:
+        "Falls Sie das nicht angefordert haben, können Sie diese E-Mail ignorieren; Ihr Passwort bleibt unverändert.",
+    },
+    emailVerification: {
+      subject: "Bestätigen Sie Ihre E-Mail-Adresse",
+      heading: "Bestätigen Sie Ihre E-Mail-Adresse",
+      intro:
+        "Bitte bestätigen Sie, dass dies Ihre E-Mail-Adresse ist. Der Link unten ist 24 Stunden gültig.",
+      button: "E-Mail bestätigen",
+    },
+    accountLocked: {
+      subject: "Ihr Konto wurde vorübergehend gesperrt",
+      heading: "Ihr Konto wurde vorübergehend gesperrt",
+      intro:
+        "Wir haben mehrere fehlgeschlagene Anmeldeversuche bei Ihrem Konto festgestellt, zuletzt von **{ip}**. Zu Ihrem Schutz ist die Anmeldung bis **{lockUntil}** gesperrt.",
+      unknownIp: "einer unbekannten Adresse",
+      outro:
+        "Falls Sie das nicht waren, empfehlen wir, Ihr Passwort zurückzusetzen.",
+      button: "Passwort zurücksetzen",
+    },
+    projectInvitation: {
+      subject: "{inviter} hat Sie zu {project} eingeladen",
+      heading: "Sie wurden zu einem Projekt eingeladen!",
+      intro:
+        "**{inviter}** hat Sie eingeladen, dem Projekt **{project}** als **{role}** beizutreten.",
+      button: "Einladung ansehen",
+      outro:
+        "Noch kein Konto? Sie können sich über denselben Link registrieren. Die Einladung läuft am {expiresAt} ab.",
+    },
+    notification: {
+      heading: "Sie haben eine neue Benachrichtigung",
+    },
+    notificationDigest: {
+      subject: "Sie haben {count} ungelesene Benachrichtigungen",
+      subjectOne: "Sie haben 1 ungelesene Benachrichtigung",
+      heading: "Ihre tägliche Zusammenfassung",
+      intro: "Das ist seit Ihrer letzten Zusammenfassung passiert:",
+    },
+  },
+};
@@ -1,176 +1,360 @@
-import nodemailer from "nodemailer";
+import EmailJob from "../models/EmailJob.js";
+import { renderEmail } from "./emailTemplates.js";
+import { getTransport, fromAddress } from "./emailTransports.js";
+import { encryptSecret, decryptSecret } from "./twoFactor.js";
 
-const createTransporter = () => {
-  // Brevo (formerly Sendinblue) requires EMAIL_USER (SMTP login) and EMAIL_PASS (SMTP key)
-  if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
-    return null;
-  }
+export const MAX_EMAIL_ATTEMPTS = 8;
 
-  return nodemailer.createTransport({
-    host: process.env.EMAIL_HOST || "smtp-relay.brevo.com",
-    port: parseInt(process.env.EMAIL_PORT) || 587,
-    secure: false, // true for 465, false for other ports (587 uses TLS)
-    auth: {
-      user: process.env.EMAIL_USER, // Your Brevo SMTP login email
-      pass: process.env.EMAIL_PASS, // Your Brevo SMTP key (not password)
-    },
-  });
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 6 * 60 * 60 * 1000;
+// A claim older than this belongs to a sender that stopped mid-send
+const CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+// 1, 2, 4, ... minutes after each failure, at most 6 hours
+const retryDelay = (attempts) =>
+  Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+/**
+ * Build a link into the frontend (APP_URL, else the first FRONTEND_URL)
+ * @param {string} path - Path including query string, e.g. "/reset-password?token=..."
+ * @returns {string}
+ */
+export const frontendUrl = (path) => {
+  const base =
+    process.env.APP_URL ||
+    (process.env.FRONTEND_URL || "http://localhost:3000").split(",")[0].trim();
+  return `${base.replace(/\/$/, "")}${path}`;
 };
 
-export const sendTaskAssignmentEmail = async (
-  toEmail,
-  taskTitle,
-  projectName,
-  assignerName
-) => {
+const unsubscribeUrl = (unsubscribeToken) =>
+  unsubscribeToken
+    ? frontendUrl(`/unsubscribe?token=${encodeURIComponent(unsubscribeToken)}`)
+    : null;
+
+// Take a pending job for sending so concurrent senders send it once
+const claim = (filter, options = {}) =>
+  EmailJob.findOneAndUpdate(
+    { ...filter, status: "pending" },
+    { status: "sending", claimedAt: new Date() },
+    { ...options, new: true }
+  );
+
+// Template values of a job, with its secrets decrypted
+const templateData = (job) => ({
+  ...job.data,
+  ...(job.secrets ? JSON.parse(decryptSecret(job.secrets)) : {}),
+});
+
+// Send a claimed job and record the outcome; failures are rescheduled with
+// backoff and given up after MAX_EMAIL_ATTEMPTS. Template values (and with
+// them any tokens) are dropped once the job is done.
+const deliver = async (job) => {
   const logPrefix = `[Email Service]`;
-  const timestamp = new Date().toISOString();
+  const attempts = job.attempts + 1;
 
   try {
-    // Check if email service is configured
-    if (!process.env.EMAIL_USER || !process.env.EMAIL_PASS) {
-      console.log(
-        `${logPrefix} [${timestamp}] ⚠️  Email service not configured. EMAIL_USER or EMAIL_PASS missing. Skipping email notification.`
-      );
-      console.log(
-        `${logPrefix} [${timestamp}] 📧 Would have sent to: ${toEmail} | Task: ${taskTitle}`
-      );
-      return { success: false, reason: 'Email service not configured' };
-    }
+    const { subject, html, text } = renderEmail(
+      job.template,
+      templateData(job),
+      job.locale
+    );
+    const transport = getTransport();
+    const { messageId } = await transport.send({
+      from: fromAddress(),
+      to: job.to,
+      subject,
+      html,
+      text,
+    });
 
-    const transporter = createTransporter();
-    if (!transporter) {
+    await EmailJob.updateOne(
+      { _id: job._id },
+      {
+        status: "sent",
+        attempts,
+        messageId,
+        sentAt: new Date(),
+        nextAttemptAt: null,
+        claimedAt: null,
+        lastError: null,
+        data: null,
+        secrets: null,
+      }
+    );
+    if (transport.name !== "log") {
       console.log(
-        `${logPrefix} [${timestamp}] ⚠️  Failed to create email transporter. Skipping email notification.`
+        `${logPrefix} ✅ Sent ${job.template} email to ${job.to} via ${transport.name}`
       );
-      return { success: false, reason: 'Failed to create transporter' };
     }
+    return true;
+  } catch (error) {
+    const exhausted = attempts >= MAX_EMAIL_ATTEMPTS;
 
-    // Use EMAIL_FROM if provided, otherwise use EMAIL_USER
-    const fromEmail = process.env.EMAIL_FROM || "itjtestmail@gmail.com";
-
-    console.log(
-      `${logPrefix} [${timestamp}] 📤 Attempting to send email...`
+    await EmailJob.updateOne(
+      { _id: job._id },
+      {
+        status: exhausted ? "failed" : "pending",
+        attempts,
+        lastError: error.message || "Unknown error",
+        nextAttemptAt: exhausted
+          ? null
+          : new Date(Date.now() + retryDelay(attempts)),
+        claimedAt: null,
+        ...(exhausted
+          ? { failedAt: new Date(), data: null, secrets: null }
+          : {}),
+      }
     );
-    console.log(
-      `${logPrefix} [${timestamp}]    From: ${fromEmail}`
-    );
-    console.log(
-      `${logPrefix} [${timestamp}]    To: ${toEmail}`
-    );
-    console.log(
-      `${logPrefix} [${timestamp}]    Subject: New Task Assigned: ${taskTitle}`
+    console.error(
+      `${logPrefix} ❌ Failed to send ${job.template} email to ${job.to} (attempt ${attempts} of ${MAX_EMAIL_ATTEMPTS}${
+        exhausted ? ", giving up" : ""
+      }): ${error.code ? `[${error.code}] ` : ""}${error.message}`
     );
+    return false;
+  }
+};
 
-    const mailOptions = {
-      from: `"Team Task Manager" <${fromEmail}>`,
-      to: toEmail,
-      subject: `New Task Assigned: ${taskTitle}`,
-      html: `
-        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
-          <h2 style="color: #3B82F6; margin-bottom: 20px;">You've been assigned a new task!</h2>
-          <p style="color: #374151; line-height: 1.6;">Hello,</p>
-          <p style="color: #374151; line-height: 1.6;">
-            <strong>${assignerName}</strong> has assigned you a new task in the project <strong>${projectName}</strong>.
-          </p>
-          <div style="background-color: #F3F4F6; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #3B82F6;">
-            <h3 style="margin-top: 0; color: #1F2937;">${taskTitle}</h3>
-          </div>
-          <p style="color: #374151; line-height: 1.6;">
-            Please log in to your account to view the task details and get started.
-          </p>
-          <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #E5E7EB;">
-            <p style="color: #6B7280; font-size: 14px; margin: 0;">
-              Best regards,<br>
-              <strong>Team Task Manager</strong>
-            </p>
-          </div>
-        </div>
-      `,
-    };
-
-    // Set timeout for email sending (8 seconds max)
-    const sendEmailWithTimeout = () => {
-      return new Promise((resolve, reject) => {
-        const timeout = setTimeout(() => {
-          reject(new Error('Email sending timeout after 8 seconds'));
-        }, 8000);
-        
-        transporter.sendMail(mailOptions)
-          .then((info) => {
-            clearTimeout(timeout);
-            resolve(info);
-          })
-          .catch((error) => {
-            clearTimeout(timeout);
-            reject(error);
-          });
-      });
-    };
-
-    const info = await sendEmailWithTimeout();
-
-    console.log(
-      `${logPrefix} [${timestamp}] ✅ Email sent successfully!`
-    );
-    console.log(
-      `${logPrefix} [${timestamp}]    Message ID: ${info.messageId}`
-    );
-    console.log(
-      `${logPrefix} [${timestamp}]    To: ${toEmail}`
-    );
-    console.log(
-      `${logPrefix} [${timestamp}]    Task: ${taskTitle}`
-    );
-    console.log(
-      `${logPrefix} [${timestamp}]    Project: ${projectName}`
-    );
-    console.log(
-      `${logPrefix} [${timestamp}]    Assigned by: ${assignerName}`
-    );
+/**
+ * Send queued emails that are due: retries, and jobs left behind by a sender
+ * that stopped mid-send
+ * @param {Object} [options]
+ * @param {number} [options.limit] - Most emails to send in one run
+ * @returns {Promise<{sent: number, failed: number}>}
+ */
+export const processEmailQueue = async ({ limit = 100 } = {}) => {
+  const now = new Date();
+  await EmailJob.updateMany(
+    {
+      status: "sending",
+      claimedAt: { $lt: new Date(now.getTime() - CLAIM_TIMEOUT_MS) },
+    },
+    { status: "pending", claimedAt: null }
+  );
 
-    return { 
-      success: true, 
-      messageId: info.messageId,
-      to: toEmail,
-      taskTitle,
-      projectName,
-      assignerName
-    };
-  } catch (error) {
-    const errorMessage = error.message || 'Unknown error';
-    const errorCode = error.code || 'NO_CODE';
-    
-    console.error(
-      `${logPrefix} [${timestamp}] ❌ Failed to send email!`
-    );
-    console.error(
-      `${logPrefix} [${timestamp}]    Error Code: ${errorCode}`
-    );
-    console.error(
-      `${logPrefix} [${timestamp}]    Error Message: ${errorMessage}`
-    );
-    console.error(
-      `${logPrefix} [${timestamp}]    To: ${toEmail}`
+  let sent = 0;
+  let failed = 0;
+  for (let i = 0; i < limit; i += 1) {
+    const job = await claim(
+      { nextAttemptAt: { $ne: null, $lte: now } },
+      { sort: { nextAttemptAt: 1 } }
     );
-    console.error(
-      `${logPrefix} [${timestamp}]    Task: ${taskTitle}`
-    );
-    
-    // Log full error in development
-    if (process.env.NODE_ENV === 'development') {
-      console.error(
-        `${logPrefix} [${timestamp}]    Full Error:`,
-        error
-      );
-    }
+    if (!job) break;
 
-    return { 
-      success: false, 
-      error: errorMessage,
-      errorCode,
-      to: toEmail,
-      taskTitle
-    };
+    if (await deliver(job)) {
+      sent += 1;
+    } else {
+      failed += 1;
+    }
   }
+
+  return { sent, failed };
 };
+
+/**
+ * Queue an email; it is rendered when sent. The first attempt is made right
+ * away in the background; failures are retried by the send-emails job.
+ * @param {Object} options
+ * @param {string} options.to - Recipient address
+ * @param {string} options.template - Template name (see utils/emailTemplates.js)
+ * @param {Object} options.data - Values the template needs
+ * @param {Object} [options.secrets] - Values carrying tokens (e.g. links),
+ *   stored encrypted
+ * @param {string} [options.locale] - Recipient language
+ * @returns {Promise<import('mongoose').Document>} The queued EmailJob
+ */
+export const queueEmail = async ({ to, template, data, secrets, locale }) => {
+  // Fail in the caller on unknown templates or missing values
+  renderEmail(template, { ...data, ...secrets }, locale);
+
+  const job = await EmailJob.create({
+    to,
+    template,
+    locale: locale || null,
+    data,
+    secrets: secrets ? encryptSecret(JSON.stringify(secrets)) : null,
+  });
+
+  setImmediate(() => {
+    claim({ _id: job._id })
+      .then((claimed) => (claimed ? deliver(claimed) : null))
+      .catch((error) =>
+        console.error(`Error sending queued email ${job._id}:`, error)
+      );
+  });
+
+  return job;
+};
+
+/**
+ * Tell a user they were assigned to a task
+ * @param {string} toEmail - Recipient address
+ * @param {string} taskTitle - Task title
+ * @param {string} projectName - Project name
+ * @param {string} assignerName - Name of the user who assigned the task
+ * @param {string} [unsubscribeToken] - Token for the unsubscribe link
+ * @param {string} [locale] - Recipient language
+ * @returns {Promise<import('mongoose').Document>} Queued email
+ */
+export const sendTaskAssignmentEmail = async (
+  toEmail,
+  taskTitle,
+  projectName,
+  assignerName,
+  unsubscribeToken,
+  locale
+) =>
+  queueEmail({
+    to: toEmail,
+    template: "taskAssigned",
+    locale,
+    data: { taskTitle, projectName, assignerName },
+    secrets: { unsubscribeUrl: unsubscribeUrl(unsubscribeToken) },
+  });
+
+/**
+ * Send the link for choosing a new password
+ * @param {string} toEmail - Recipient address
+ * @param {string} name - Recipient name
+ * @param {string} token - Raw password reset token
+ * @param {string} [locale] - Recipient language
+ * @returns {Promise<import('mongoose').Document>} Queued email
+ */
+export const sendPasswordResetEmail = async (toEmail, name, token, locale) =>
+  queueEmail({
+    to: toEmail,
+    template: "passwordReset",
+    locale,
+    data: { name },
+    secrets: {
+      url: frontendUrl(`/reset-password?token=${encodeURIComponent(token)}`),
+    },
+  });
+
+/**
+ * Send the link confirming a user's email address
+ * @param {string} toEmail - Recipient address
+ * @param {string} name - Recipient name
+ * @param {string} token - Raw email verification token
+ * @param {string} [locale] - Recipient language
+ * @returns {Promise<import('mongoose').Document>} Queued email
+ */
+export const sendVerificationEmail = async (toEmail, name, token, locale) =>
+  queueEmail({
+    to: toEmail,
+    template: "emailVerification",
+    locale,
+    data: { name },
+    secrets: {
+      url: frontendUrl(`/verify-email?token=${encodeURIComponent(token)}`),
+    },
+  });
+
+/**
+ * Tell a user their account was locked after repeated failed logins
+ * @param {string} toEmail - Recipient address
+ * @param {string} name - Recipient name
+ * @param {Date} lockUntil - When logins are allowed again
+ * @param {string} ip - Address the last failed attempt came from
+ * @param {string} [locale] - Recipient language
+ * @returns {Promise<import('mongoose').Document>} Queued email
+ */
+export const sendAccountLockedEmail = async (
+  toEmail,
+  name,
+  lockUntil,
+  ip,
+  locale
+) =>
+  queueEmail({
+    to: toEmail,
+    template: "accountLocked",
+    locale,
+    data: { name, lockUntil, ip, url: frontendUrl("/forgot-password") },
+  });
+
+/**
+ * Invite someone (with or without an account) to a project
+ * @param {string} toEmail - Invited address
+ * @param {string} projectName - Project name
+ * @param {string} inviterName - Name of the member who sent the invitation
+ * @param {string} role - Project role the invitee will get
+ * @param {string} token - Signed invitation token
+ * @param {Date} expiresAt - When the invitation expires
+ * @param {string} [locale] - Invitee language, if they have an account
+ * @returns {Promise<import('mongoose').Document>} Queued email
+ */
+export const sendProjectInvitationEmail = async (
+  toEmail,
+  projectName,
+  inviterName,
+  role,
+  token,
+  expiresAt,
+  locale
+) =>
+  queueEmail({
+    to: toEmail,
+    template: "projectInvitation",
+    locale,
+    data: { projectName, inviterName, role, expiresAt },
+    secrets: {
+      url: frontendUrl(
+        `/invitations/accept?token=${encodeURIComponent(token)}`
+      ),
+    },
+  });
+
+/**
+ * Email a single notification right away (preference "email")
+ * @param {string} toEmail - Recipient address
+ * @param {string} name - Recipient name
+ * @param {string} message - Notification text
+ * @param {string} unsubscribeToken - Token for the unsubscribe link
+ * @param {string} [locale] - Recipient language
+ * @returns {Promise<import('mongoose').Document>} Queued email
+ */
+export const sendNotificationEmail = async (
+  toEmail,
+  name,
+  message,
+  unsubscribeToken,
+  locale
+) =>
+  queueEmail({
+    to: toEmail,
+    template: "notification",
+    locale,
+    data: { name, message, url: frontendUrl("/notifications") },
+    secrets: { unsubscribeUrl: unsubscribeUrl(unsubscribeToken) },
+  });
+
+/**
+ * Email the daily summary of a user's unread notifications
+ * @param {string} toEmail - Recipient address
+ * @param {string} name - Recipient name
+ * @param {Array<{message: string, createdAt: Date}>} notifications - Newest first
+ * @param {string} unsubscribeToken - Token for the unsubscribe link
+ * @param {string} [locale] - Recipient language
+ * @returns {Promise<import('mongoose').Document>} Queued email
+ */
+export const sendNotificationDigestEmail = async (
+  toEmail,
+  name,
+  notifications,
+  unsubscribeToken,
+  locale
+) =>
+  queueEmail({
+    to: toEmail,
+    template: "notificationDigest",
+    locale,
+    data: {
+      name,
+      notifications: notifications.map(({ message, createdAt }) => ({
+        message,
+        createdAt,
+      })),
+      url: frontendUrl("/notifications"),
+    },
+    secrets: { unsubscribeUrl: unsubscribeUrl(unsubscribeToken) },
+  });
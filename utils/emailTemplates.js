@@ -0,0 +1,287 @@
+import { EMAIL_MESSAGES } from "./emailMessages.js";
+
+const DEFAULT_LOCALE = "en";
+
+const escapeHtml = (value) =>
+  String(value)
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+
+const lookup = (messages, key) =>
+  key
+    .split(".")
+    .reduce((node, part) => (node ? node[part] : undefined), messages);
+
+const formatDate = (date, locale) =>
+  `${new Intl.DateTimeFormat(locale, {
+    dateStyle: "full",
+    timeStyle: "short",
+    timeZone: "UTC",
+  }).format(date)} UTC`;
+
+// Translate a message key into an HTML and a plain-text variant. Parameters
+// are escaped for HTML (dates are formatted for the locale); `html` params
+// are inserted as-is, for links.
+const createTranslator = (locale) => (key, params = {}, html = {}) => {
+  const message =
+    lookup(EMAIL_MESSAGES[locale], key) ??
+    lookup(EMAIL_MESSAGES[DEFAULT_LOCALE], key);
+  if (typeof message !== "string") {
+    throw new Error(`Missing email message "${key}"`);
+  }
+
+  const format = (value) =>
+    value instanceof Date ? formatDate(value, locale) : String(value ?? "");
+  const fill = (template, toValue) =>
+    template.replace(/\{(\w+)\}/g, (match, name) => toValue(name));
+
+  return {
+    text: fill(
+      message,
+      (name) => html[name]?.text ?? format(params[name])
+    ).replace(/\*\*(.+?)\*\*/g, "$1"),
+    html: fill(escapeHtml(message), (name) =>
+      html[name] ? html[name].html : escapeHtml(format(params[name]))
+    ).replace(/\*\*(.+?)\*\*/g, "<strong>$1</strong>"),
+  };
+};
+
+// Partials: building blocks of an email body, each with an HTML and a
+// plain-text rendering
+
+const paragraph = (content) => ({
+  html: `<p style="color: #374151; line-height: 1.6;">${content.html}</p>`,
+  text: content.text,
+});
+
+const card = (title) => ({
+  html: `<div style="background-color: #F3F4F6; padding: 20px; border-radius: 8px; margin: 20px 0; border-left: 4px solid #3B82F6;">
+            <h3 style="margin-top: 0; color: #1F2937;">${escapeHtml(title)}</h3>
+          </div>`,
+  text: `  ${title}`,
+});
+
+const button = (url, label, t) => ({
+  html: `<p style="margin: 30px 0;">
+            <a href="${escapeHtml(url)}" style="background-color: #3B82F6; color: #FFFFFF; padding: 12px 24px; border-radius: 6px; text-decoration: none; display: inline-block;">${label.html}</a>
+          </p>
+          <p style="color: #6B7280; font-size: 14px; line-height: 1.6;">
+            ${t("buttonFallback").html}<br>
+            <a href="${escapeHtml(url)}" style="color: #3B82F6;">${escapeHtml(url)}</a>
+          </p>`,
+  text: `${label.text}: ${url}`,
+});
+
+const list = (items) => ({
+  html: `<ul style="color: #374151; line-height: 1.6; padding-left: 20px;">${items
+    .map(
+      (item) => `
+            <li style="margin-bottom: 10px;">
+              ${item.html}
+              <span style="color: #9CA3AF; font-size: 12px;">(${escapeHtml(item.note)})</span>
+            </li>`
+    )
+    .join("")}
+          </ul>`,
+  text: items.map((item) => `- ${item.text} (${item.note})`).join("\n"),
+});
+
+// Footer of notification emails (empty when there is no unsubscribe link)
+const unsubscribe = (url, t) => {
+  if (!url) return null;
+  const label = t("unsubscribeLink");
+  const content = t(
+    "unsubscribe",
+    {},
+    {
+      link: {
+        html: `<a href="${escapeHtml(url)}" style="color: #9CA3AF;">${label.html}</a>`,
+        text: `${label.text} (${url})`,
+      },
+    }
+  );
+  return {
+    html: `<p style="color: #9CA3AF; font-size: 12px; line-height: 1.6; margin-top: 30px;">
+            ${content.html}
+          </p>`,
+    text: content.text,
+  };
+};
+
+// Layout shared by every email
+const layout = (heading, blocks, t) => {
+  const parts = blocks.filter(Boolean);
+  const signOff = t("layout.signOff");
+  const team = t("layout.team");
+
+  return {
+    html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 0 auto; padding: 20px;">
+          <h2 style="color: #3B82F6; margin-bottom: 20px;">${heading.html}</h2>
+          ${parts.map((part) => part.html).join("\n          ")}
+          <div style="margin-top: 30px; padding-top: 20px; border-top: 1px solid #E5E7EB;">
+            <p style="color: #6B7280; font-size: 14px; margin: 0;">
+              ${signOff.html}<br>
+              <strong>${team.html}</strong>
+            </p>
+          </div>
+        </div>
+      `,
+    text: [
+      heading.text,
+      ...parts.map((part) => part.text),
+      `${signOff.text}\n${team.text}`,
+    ].join("\n\n"),
+  };
+};
+
+const greeting = (name, t) =>
+  paragraph(name ? t("greetingName", { name }) : t("greeting"));
+
+// One template per email; each returns its subject, heading and body parts
+const TEMPLATES = {
+  taskAssigned: (
+    { taskTitle, projectName, assignerName, unsubscribeUrl },
+    t
+  ) => ({
+    subject: t("taskAssigned.subject", { task: taskTitle }),
+    heading: t("taskAssigned.heading"),
+    blocks: [
+      greeting(null, t),
+      paragraph(
+        t("taskAssigned.intro", {
+          assigner: assignerName,
+          project: projectName,
+        })
+      ),
+      card(taskTitle),
+      paragraph(t("taskAssigned.outro")),
+      unsubscribe(unsubscribeUrl, t),
+    ],
+  }),
+
+  passwordReset: ({ name, url }, t) => ({
+    subject: t("passwordReset.subject"),
+    heading: t("passwordReset.heading"),
+    blocks: [
+      greeting(name, t),
+      paragraph(t("passwordReset.intro")),
+      button(url, t("passwordReset.button"), t),
+      paragraph(t("passwordReset.outro")),
+    ],
+  }),
+
+  emailVerification: ({ name, url }, t) => ({
+    subject: t("emailVerification.subject"),
+    heading: t("emailVerification.heading"),
+    blocks: [
+      greeting(name, t),
+      paragraph(t("emailVerification.intro")),
+      button(url, t("emailVerification.button"), t),
+    ],
+  }),
+
+  accountLocked: ({ name, lockUntil, ip, url }, t) => ({
+    subject: t("accountLocked.subject"),
+    heading: t("accountLocked.heading"),
+    blocks: [
+      greeting(name, t),
+      paragraph(
+        t("accountLocked.intro", {
+          ip: ip || t("accountLocked.unknownIp").text,
+          lockUntil,
+        })
+      ),
+      paragraph(t("accountLocked.outro")),
+      button(url, t("accountLocked.button"), t),
+    ],
+  }),
+
+  projectInvitation: (
+    { projectName, inviterName, role, url, expiresAt },
+    t
+  ) => ({
+    subject: t("projectInvitation.subject", {
+      inviter: inviterName,
+      project: projectName,
+    }),
+    heading: t("projectInvitation.heading"),
+    blocks: [
+      greeting(null, t),
+      paragraph(
+        t("projectInvitation.intro", {
+          inviter: inviterName,
+          project: projectName,
+          role,
+        })
+      ),
+      button(url, t("projectInvitation.button"), t),
+      paragraph(t("projectInvitation.outro", { expiresAt })),
+    ],
+  }),
+
+  notification: ({ name, message, url, unsubscribeUrl }, t) => ({
+    subject: { text: message },
+    heading: t("notification.heading"),
+    blocks: [
+      greeting(name, t),
+      paragraph({ html: escapeHtml(message), text: message }),
+      button(url, t("viewNotifications"), t),
+      unsubscribe(unsubscribeUrl, t),
+    ],
+  }),
+
+  notificationDigest: (
+    { name, notifications, url, unsubscribeUrl },
+    t,
+    locale
+  ) => ({
+    subject:
+      notifications.length === 1
+        ? t("notificationDigest.subjectOne")
+        : t("notificationDigest.subject", { count: notifications.length }),
+    heading: t("notificationDigest.heading"),
+    blocks: [
+      greeting(name, t),
+      paragraph(t("notificationDigest.intro")),
+      list(
+        notifications.map((notification) => ({
+          html: escapeHtml(notification.message),
+          text: notification.message,
+          note: formatDate(notification.createdAt, locale),
+        }))
+      ),
+      button(url, t("viewNotifications"), t),
+      unsubscribe(unsubscribeUrl, t),
+    ],
+  }),
+};
+
+/**
+ * Resolve a requested locale to one emails exist in
+ * @param {string} [locale] - e.g. the recipient's User locale
+ * @returns {string}
+ */
+export const resolveLocale = (locale) =>
+  locale && EMAIL_MESSAGES[locale] ? locale : DEFAULT_LOCALE;
+
+/**
+ * Render an email from its template in the recipient's language
+ * @param {string} name - Template name, e.g. "passwordReset"
+ * @param {Object} data - Values the template needs (URLs, names, dates, ...)
+ * @param {string} [locale] - Falls back to English
+ * @returns {{subject: string, html: string, text: string}}
+ */
+export const renderEmail = (name, data, locale) => {
+  const template = TEMPLATES[name];
+  if (!template) throw new Error(`Unknown email template "${name}"`);
+
+  const resolved = resolveLocale(locale);
+  const t = createTranslator(resolved);
+  const { subject, heading, blocks } = template(data, t, resolved);
+
+  return { subject: subject.text, ...layout(heading, blocks, t) };
+};
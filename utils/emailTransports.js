@@ -0,0 +1,107 @@
+import crypto from "crypto";
+import fs from "fs/promises";
+import path from "path";
+import nodemailer from "nodemailer";
+
+export const EMAIL_TRANSPORTS = ["smtp", "outbox", "log"];
+
+// SMTP, the default when EMAIL_HOST is set. Works with any provider (Brevo,
+// SES, Mailgun, Gmail, ...)
+const createSmtpTransport = () => {
+  if (!process.env.EMAIL_HOST) {
+    throw new Error("EMAIL_HOST is required for the smtp email transport");
+  }
+
+  const port = parseInt(process.env.EMAIL_PORT) || 587;
+  const transporter = nodemailer.createTransport({
+    host: process.env.EMAIL_HOST,
+    port,
+    // Implicit TLS on 465; other ports upgrade with STARTTLS
+    secure: process.env.EMAIL_SECURE
+      ? process.env.EMAIL_SECURE === "true"
+      : port === 465,
+    auth: process.env.EMAIL_USER
+      ? { user: process.env.EMAIL_USER, pass: process.env.EMAIL_PASS }
+      : undefined,
+    pool: true,
+    connectionTimeout: 10000,
+    greetingTimeout: 10000,
+    socketTimeout: 30000,
+  });
+
+  return {
+    name: "smtp",
+    send: async (message) => {
+      const info = await transporter.sendMail(message);
+      return { messageId: info.messageId };
+    },
+  };
+};
+
+// Writes each email to EMAIL_OUTBOX_DIR as JSON instead of sending it, for
+// local development and tests
+const createOutboxTransport = () => {
+  const dir = path.resolve(process.env.EMAIL_OUTBOX_DIR || "outbox");
+
+  return {
+    name: "outbox",
+    send: async (message) => {
+      const messageId = `${Date.now()}-${crypto.randomBytes(4).toString("hex")}`;
+      await fs.mkdir(dir, { recursive: true });
+      await fs.writeFile(
+        path.join(dir, `${messageId}.json`),
+        JSON.stringify({ ...message, date: new Date() }, null, 2)
+      );
+      return { messageId };
+    },
+  };
+};
+
+// Only logs the recipient and subject; used when nothing is configured
+const createLogTransport = () => ({
+  name: "log",
+  send: async (message) => {
+    console.log(
+      `[Email Service] 📧 Email transport not configured, would have sent to ${message.to}: ${message.subject}`
+    );
+    return { messageId: null };
+  },
+});
+
+const factories = {
+  smtp: createSmtpTransport,
+  outbox: createOutboxTransport,
+  log: createLogTransport,
+};
+
+let transport = null;
+
+/**
+ * The configured email transport (EMAIL_TRANSPORT: smtp, outbox or log;
+ * defaults to smtp when EMAIL_HOST is set, else log). Created once.
+ * @returns {{name: string, send: (message: Object) => Promise<{messageId: string|null}>}}
+ */
+export const getTransport = () => {
+  if (!transport) {
+    const name =
+      process.env.EMAIL_TRANSPORT || (process.env.EMAIL_HOST ? "smtp" : "log");
+    if (!factories[name]) {
+      throw new Error(
+        `EMAIL_TRANSPORT must be one of: ${EMAIL_TRANSPORTS.join(", ")}`
+      );
+    }
+    transport = factories[name]();
+  }
+  return transport;
+};
+
+/**
+ * Sender address: EMAIL_FROM (or EMAIL_USER) with EMAIL_FROM_NAME
+ * @returns {string}
+ */
+export const fromAddress = () => {
+  const address =
+    process.env.EMAIL_FROM || process.env.EMAIL_USER || "no-reply@localhost";
+  const name = process.env.EMAIL_FROM_NAME || "Team Task Manager";
+  return `"${name.replace(/"/g, "")}" <${address}>`;
+};
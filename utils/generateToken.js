@@ -1,8 +1,64 @@
 import jwt from 'jsonwebtoken';
 
-export const generateToken = (id) => {
-  return jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRE || '7d'
+const TWO_FACTOR_CHALLENGE_PURPOSE = '2fa';
+
+// Short-lived access token bound to a session and the user's token version
+export const generateToken = (id, sessionId, tokenVersion = 0) => {
+  return jwt.sign({ id, sid: sessionId, tv: tokenVersion }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRE || '15m'
+  });
+};
+
+// Interim token proving the password step of a two-step login. It carries no
+// session, so it is never accepted as an access token.
+export const generateTwoFactorChallenge = (id, tokenVersion = 0) => {
+  return jwt.sign({ id, tv: tokenVersion, purpose: TWO_FACTOR_CHALLENGE_PURPOSE }, process.env.JWT_SECRET, {
+    expiresIn: '5m'
   });
 };
 
+// Decoded challenge payload, or null if it is invalid or expired
+export const verifyTwoFactorChallenge = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === TWO_FACTOR_CHALLENGE_PURPOSE ? decoded : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Token emailed with a project invitation; revocation is checked against the
+// Invitation document, expiry is enforced here
+export const generateInvitationToken = (invitationId, expiresAt) => {
+  return jwt.sign({ inv: invitationId.toString(), purpose: 'invitation' }, process.env.JWT_SECRET, {
+    expiresIn: Math.max(1, Math.floor((expiresAt.getTime() - Date.now()) / 1000))
+  });
+};
+
+// Invitation ID from a token, or null if it is invalid or expired
+export const verifyInvitationToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'invitation' ? decoded.inv : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+// Token in notification emails that turns those emails off without logging in.
+// Long-lived so links in old digests keep working.
+export const generateUnsubscribeToken = (userId) => {
+  return jwt.sign({ id: userId.toString(), purpose: 'unsubscribe' }, process.env.JWT_SECRET, {
+    expiresIn: '180d'
+  });
+};
+
+// User ID from an unsubscribe token, or null if it is invalid or expired
+export const verifyUnsubscribeToken = (token) => {
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === 'unsubscribe' ? decoded.id : null;
+  } catch (error) {
+    return null;
+  }
+};
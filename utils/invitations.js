@@ -0,0 +1,153 @@
+import Invitation, { INVITATION_TTL_DAYS } from "../models/Invitation.js";
+import Project from "../models/Project.js";
+import Activity from "../models/Activity.js";
+import User from "../models/User.js";
+import {
+  generateInvitationToken,
+  verifyInvitationToken,
+} from "./generateToken.js";
+import { sendProjectInvitationEmail } from "./emailService.js";
+import { emitToProject } from "./realtime.js";
+import { ensureWorkspaceMember } from "./workspaces.js";
+import { notify } from "./notifications.js";
+
+const invitationExpiry = () =>
+  new Date(Date.now() + INVITATION_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+/**
+ * Invite an email address to a project, or re-send (with a fresh expiry and
+ * role) if it already has a pending invitation
+ * @param {Object} options
+ * @param {import('mongoose').Document} options.project - Project
+ * @param {string} options.email - Address to invite
+ * @param {string} options.role - Project role to grant on acceptance
+ * @param {Object} options.inviter - User sending the invitation
+ * @returns {Promise<import('mongoose').Document>} The invitation
+ */
+export const createInvitation = async ({ project, email, role, inviter }) => {
+  const normalizedEmail = email.toLowerCase().trim();
+  const expiresAt = invitationExpiry();
+
+  let invitation = await Invitation.findOne({
+    project: project._id,
+    email: normalizedEmail,
+    status: "pending",
+  });
+
+  if (invitation) {
+    invitation.role = role;
+    invitation.invitedBy = inviter._id;
+    invitation.expiresAt = expiresAt;
+    await invitation.save();
+  } else {
+    invitation = await Invitation.create({
+      project: project._id,
+      email: normalizedEmail,
+      role,
+      invitedBy: inviter._id,
+      expiresAt,
+    });
+  }
+
+  const token = generateInvitationToken(invitation._id, expiresAt);
+  setImmediate(async () => {
+    // People who already have an account get the email in their language;
+    // those who verified the address also see the invitation in the app
+    const user = await User.findOne({ email: normalizedEmail })
+      .select("_id locale emailVerified")
+      .catch((error) => {
+        console.error("Error looking up invited user:", error);
+        return null;
+      });
+
+    sendProjectInvitationEmail(
+      normalizedEmail,
+      project.name,
+      inviter.name,
+      role,
+      token,
+      expiresAt,
+      user?.locale
+    ).catch((error) => console.error("Error sending invitation email:", error));
+
+    if (user?.emailVerified) {
+      notify({
+        recipients: [user],
+        type: "invitation_received",
+        message: `${inviter.name} invited you to the project "${project.name}" as ${role}`,
+        actor: inviter,
+        project,
+      }).catch((error) =>
+        console.error("Error creating invitation notification:", error)
+      );
+    }
+  });
+
+  return invitation;
+};
+
+/**
+ * Look up the invitation an emailed token refers to
+ * @param {string} token - Signed invitation token
+ * @returns {Promise<import('mongoose').Document|null>} null if the token is
+ *   invalid or expired or the invitation is gone
+ */
+export const findInvitationByToken = async (token) => {
+  const invitationId = verifyInvitationToken(token);
+  if (!invitationId) return null;
+  return Invitation.findById(invitationId);
+};
+
+/**
+ * Add the user to the invitation's project with the invited role, joining
+ * the project's workspace as a member if needed
+ * @param {import('mongoose').Document} invitation - Pending invitation
+ * @param {Object} user - Accepting user (email must match the invitation)
+ * @returns {Promise<import('mongoose').Document|null>} The project, or null if it no longer exists
+ */
+export const acceptInvitation = async (invitation, user) => {
+  const project = await Project.findById(invitation.project);
+  if (!project) return null;
+
+  await ensureWorkspaceMember(project.workspace, user._id);
+
+  const role = project.getMemberRole(user._id);
+  if (!role) {
+    project.members.push(user._id);
+    project.setMemberRole(user._id, invitation.role);
+    await project.save();
+
+    await Activity.create({
+      type: "member_added",
+      description: `${user.name} joined the project as ${invitation.role}`,
+      project: project._id,
+      user: user._id,
+      metadata: { invitationId: invitation._id, invitedBy: invitation.invitedBy },
+    });
+
+    emitToProject(
+      project._id,
+      "member.added",
+      { userId: user._id.toString(), role: invitation.role },
+      user
+    );
+  }
+
+  invitation.status = "accepted";
+  invitation.acceptedBy = user._id;
+  invitation.respondedAt = new Date();
+  await invitation.save();
+
+  return project;
+};
+
+/**
+ * Mark an invitation as declined
+ * @param {import('mongoose').Document} invitation - Pending invitation
+ * @returns {Promise<void>}
+ */
+export const declineInvitation = async (invitation) => {
+  invitation.status = "declined";
+  invitation.respondedAt = new Date();
+  await invitation.save();
+};
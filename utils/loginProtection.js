@@ -0,0 +1,151 @@
+import User from "../models/User.js";
+import LoginAttempt from "../models/LoginAttempt.js";
+import { sendAccountLockedEmail } from "./emailService.js";
+
+// Failed logins allowed before the account is locked
+export const MAX_FAILED_LOGINS = 5;
+const BASE_LOCKOUT_MS = 15 * 60 * 1000;
+const MAX_LOCKOUT_MS = 24 * 60 * 60 * 1000;
+
+// Per-IP limits over a sliding window
+const IP_WINDOW_MS = 15 * 60 * 1000;
+const IP_LIMITS = {
+  login: 20, // failed logins and 2FA codes
+  register: 10, // registrations, successful or not
+};
+
+/**
+ * How long to lock an account after its nth consecutive failure:
+ * nothing before MAX_FAILED_LOGINS, then 15 minutes doubling with every
+ * further failure, capped at 24 hours
+ * @param {number} failures - Consecutive failed attempts
+ * @returns {number} Lockout in milliseconds (0 = no lockout)
+ */
+export const lockoutDuration = (failures) => {
+  if (failures < MAX_FAILED_LOGINS) return 0;
+  return Math.min(
+    BASE_LOCKOUT_MS * 2 ** (failures - MAX_FAILED_LOGINS),
+    MAX_LOCKOUT_MS
+  );
+};
+
+const secondsUntil = (date) =>
+  Math.max(1, Math.ceil((date.getTime() - Date.now()) / 1000));
+
+/**
+ * Store an authentication attempt in the audit trail
+ * @param {import('express').Request} req - Request (for IP and user agent)
+ * @param {Object} attempt - { user, email, type, success, reason }
+ * @returns {Promise<void>}
+ */
+export const recordLoginAttempt = async (req, attempt) => {
+  try {
+    await LoginAttempt.create({
+      ...attempt,
+      user: attempt.user ? attempt.user._id : null,
+      ip: req.ip || "",
+      userAgent: (req.headers["user-agent"] || "").slice(0, 300),
+    });
+  } catch (error) {
+    // Never fail a login because the audit write failed
+    console.error("Error recording login attempt:", error);
+  }
+};
+
+/**
+ * Seconds until the request's IP may try again, or null if it isn't blocked
+ * @param {import('express').Request} req - Request
+ * @param {"login"|"register"} type - Which limit to apply
+ * @returns {Promise<number|null>}
+ */
+export const getIpRetryAfter = async (req, type) => {
+  const since = new Date(Date.now() - IP_WINDOW_MS);
+  const filter =
+    type === "register"
+      ? { ip: req.ip || "", type: "register", createdAt: { $gte: since } }
+      : {
+          ip: req.ip || "",
+          type: { $in: ["login", "two_factor"] },
+          success: false,
+          createdAt: { $gte: since },
+        };
+
+  const attempts = await LoginAttempt.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(IP_LIMITS[type])
+    .select("createdAt");
+
+  if (attempts.length < IP_LIMITS[type]) return null;
+
+  // Blocked until the oldest counted attempt leaves the window
+  const oldest = attempts[attempts.length - 1].createdAt;
+  return secondsUntil(new Date(oldest.getTime() + IP_WINDOW_MS));
+};
+
+/**
+ * Seconds until a locked account may try again, or null if it isn't locked
+ * @param {import('mongoose').Document} user - User document
+ * @returns {number|null}
+ */
+export const getAccountRetryAfter = (user) =>
+  user.isLocked() ? secondsUntil(user.lockUntil) : null;
+
+/**
+ * Count a failed login against an account, locking it (and emailing the
+ * owner) once it reaches MAX_FAILED_LOGINS
+ * @param {import('mongoose').Document} user - User document
+ * @param {import('express').Request} req - Request
+ * @returns {Promise<Date|null>} When the new lock ends, or null if not locked
+ */
+export const registerFailedLogin = async (user, req) => {
+  const updated = await User.findByIdAndUpdate(
+    user._id,
+    { $inc: { failedLoginAttempts: 1 } },
+    { new: true, select: "failedLoginAttempts" }
+  );
+  if (!updated) return null;
+
+  const duration = lockoutDuration(updated.failedLoginAttempts);
+  if (!duration) return null;
+
+  const lockUntil = new Date(Date.now() + duration);
+  await User.updateOne({ _id: user._id }, { $set: { lockUntil } });
+
+  sendAccountLockedEmail(
+    user.email,
+    user.name,
+    lockUntil,
+    req.ip,
+    user.locale
+  ).catch((error) =>
+    console.error("Error sending account locked email:", error)
+  );
+
+  return lockUntil;
+};
+
+/**
+ * Reset the failure counter after a successful login
+ * @param {import('mongoose').Document} user - User document
+ * @returns {Promise<void>}
+ */
+export const clearFailedLogins = async (user) => {
+  if (!user.failedLoginAttempts && !user.lockUntil) return;
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { failedLoginAttempts: 0, lockUntil: null } }
+  );
+  user.failedLoginAttempts = 0;
+  user.lockUntil = null;
+};
+
+/**
+ * Send a 429 with Retry-After
+ * @param {import('express').Response} res - Response
+ * @param {number} retryAfter - Seconds
+ * @param {string} message - Error message
+ */
+export const sendTooManyAttempts = (res, retryAfter, message) => {
+  res.set("Retry-After", String(retryAfter));
+  return res.status(429).json({ message, retryAfter });
+};
@@ -0,0 +1,148 @@
+import Notification from "../models/Notification.js";
+import NotificationPreference from "../models/NotificationPreference.js";
+import User from "../models/User.js";
+import { emitToUser } from "./realtime.js";
+import { sendNotificationEmail } from "./emailService.js";
+import { generateUnsubscribeToken } from "./generateToken.js";
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref) || null;
+
+/**
+ * Populate what the notification list shows next to each notification
+ * @param {import('mongoose').Query} query - Notification query
+ * @returns {import('mongoose').Query}
+ */
+export const populateNotification = (query) =>
+  query
+    .populate("actor", "name email avatar")
+    .populate("project", "name color")
+    .populate("task", "title");
+
+// Immediate emails for recipients whose preference for the type is "email"
+const emailRecipients = async (userIds, message, sendEmail) => {
+  const users = await User.find({ _id: { $in: userIds } }).select(
+    "name email locale"
+  );
+
+  for (const user of users) {
+    const unsubscribeToken = generateUnsubscribeToken(user._id);
+    try {
+      if (sendEmail) {
+        await sendEmail(user, unsubscribeToken);
+      } else {
+        await sendNotificationEmail(
+          user.email,
+          user.name,
+          message,
+          unsubscribeToken,
+          user.locale
+        );
+      }
+    } catch (error) {
+      console.error(`Error emailing notification to ${user.email}:`, error);
+    }
+  }
+};
+
+/**
+ * Create one notification per recipient and push it to their open sockets
+ * as "notification.created", following each recipient's preference for the
+ * type (see NotificationPreference): "off" skips them, "email" also sends an
+ * email in the background and "digest" leaves it to the digest job. The
+ * actor is never notified about their own action and duplicate recipients
+ * are dropped.
+ * @param {Object} options
+ * @param {Array<Object|string>} options.recipients - Users or user IDs
+ * @param {string} options.type - One of NOTIFICATION_TYPES
+ * @param {string} options.message - Text shown to the recipient
+ * @param {Object} [options.actor] - User who caused the notification
+ * @param {Object|string} [options.project] - Related project
+ * @param {Object|string} [options.task] - Related task
+ * @param {Object|string} [options.comment] - Related comment
+ * @param {Function} [options.sendEmail] - `(user, unsubscribeToken) => Promise`
+ *   sending a type-specific email instead of the generic one
+ * @returns {Promise<Array<import('mongoose').Document>>} Created notifications
+ */
+export const notify = async ({
+  recipients,
+  type,
+  message,
+  actor,
+  project,
+  task,
+  comment,
+  sendEmail,
+}) => {
+  const actorId = actor ? actor._id.toString() : null;
+  const recipientIds = [
+    ...new Set(
+      recipients.filter(Boolean).map((recipient) => idOf(recipient).toString())
+    ),
+  ].filter((id) => id !== actorId);
+  if (recipientIds.length === 0) return [];
+
+  const preferences = await NotificationPreference.getForUsers(recipientIds);
+  const deliveryOf = (id) => preferences.get(id)[type];
+  const deliveredIds = recipientIds.filter((id) => deliveryOf(id) !== "off");
+  if (deliveredIds.length === 0) return [];
+
+  const notifications = await Notification.insertMany(
+    deliveredIds.map((recipient) => ({
+      recipient,
+      type,
+      message,
+      actor: actor ? actor._id : null,
+      project: idOf(project),
+      task: idOf(task),
+      comment: idOf(comment),
+    }))
+  );
+
+  const populated = await populateNotification(
+    Notification.find({ _id: { $in: notifications.map((n) => n._id) } })
+  );
+  for (const notification of populated) {
+    emitToUser(notification.recipient, "notification.created", notification);
+  }
+
+  const emailIds = deliveredIds.filter((id) => deliveryOf(id) === "email");
+  if (emailIds.length > 0) {
+    setImmediate(() => {
+      emailRecipients(emailIds, message, sendEmail).catch((error) =>
+        console.error(`Error sending ${type} notification emails:`, error)
+      );
+    });
+  }
+
+  return notifications;
+};
+
+/**
+ * Fire-and-forget variant of notify for use after a response was sent;
+ * failures are logged
+ * @param {Object} options - See notify
+ */
+export const notifyInBackground = (options) => {
+  notify(options).catch((error) =>
+    console.error(`Error creating ${options.type} notifications:`, error)
+  );
+};
+
+const escapeRegExp = (text) => text.replace(/[.*+?^${}()|[\]\\]/g, "\\$&");
+
+/**
+ * Users mentioned in a text as "@Full Name" or "@email", case-insensitively
+ * @param {string} text - Comment or description
+ * @param {Array<Object>} users - Candidates, with `name` and `email`
+ * @returns {Array<Object>} The mentioned candidates
+ */
+export const findMentionedUsers = (text, users) => {
+  if (!text || !text.includes("@")) return [];
+  return users.filter((user) =>
+    [user.name, user.email].some(
+      (handle) =>
+        handle &&
+        new RegExp(`@${escapeRegExp(handle)}(?![\\w@-]|\\.\\w)`, "i").test(text)
+    )
+  );
+};
@@ -0,0 +1,149 @@
+import mongoose from "mongoose";
+
+export const DEFAULT_PAGE_SIZE = 50;
+export const MAX_PAGE_SIZE = 100;
+
+const badRequest = (message) => {
+  const error = new Error(message);
+  error.status = 400;
+  return error;
+};
+
+/**
+ * Parse the `limit` query parameter, clamped to [1, MAX_PAGE_SIZE]
+ * @param {string|number} value - Raw limit
+ * @param {number} fallback - Limit used when none is given
+ * @returns {number}
+ */
+export const parseLimit = (value, fallback = DEFAULT_PAGE_SIZE) => {
+  if (value === undefined || value === "") return fallback;
+  const limit = parseInt(value, 10);
+  if (Number.isNaN(limit) || limit < 1) {
+    throw badRequest("Limit must be a positive integer");
+  }
+  return Math.min(limit, MAX_PAGE_SIZE);
+};
+
+// Dates and ObjectIds don't survive JSON round-trips, so tag them
+const serializeValue = (value) => {
+  if (value instanceof Date) return { $d: value.toISOString() };
+  if (value instanceof mongoose.Types.ObjectId) return { $o: value.toString() };
+  return value === undefined ? null : value;
+};
+
+const deserializeValue = (value) => {
+  if (value && typeof value === "object") {
+    if (typeof value.$d === "string") return new Date(value.$d);
+    if (typeof value.$o === "string" && mongoose.isValidObjectId(value.$o)) {
+      return new mongoose.Types.ObjectId(value.$o);
+    }
+    throw badRequest("Invalid cursor");
+  }
+  return value;
+};
+
+const encodeCursor = (doc, sortKeys) => {
+  const values = sortKeys.map((key) => serializeValue(doc.get(key)));
+  return Buffer.from(JSON.stringify({ k: sortKeys, v: values })).toString(
+    "base64url"
+  );
+};
+
+const decodeCursor = (cursor, sortKeys) => {
+  let parsed;
+  try {
+    parsed = JSON.parse(Buffer.from(String(cursor), "base64url").toString());
+  } catch (error) {
+    throw badRequest("Invalid cursor");
+  }
+
+  if (
+    !parsed ||
+    !Array.isArray(parsed.k) ||
+    !Array.isArray(parsed.v) ||
+    parsed.k.join(",") !== sortKeys.join(",") ||
+    parsed.v.length !== sortKeys.length
+  ) {
+    throw badRequest("Cursor does not match the requested sort order");
+  }
+
+  return parsed.v.map(deserializeValue);
+};
+
+// Condition for "field comes strictly after value" in the given direction.
+// MongoDB sorts null/missing before every other value.
+const afterCondition = (field, value, direction) => {
+  if (direction === 1) {
+    return value === null
+      ? { [field]: { $ne: null } }
+      : { [field]: { $gt: value } };
+  }
+  if (value === null) return null;
+  return { $or: [{ [field]: { $lt: value } }, { [field]: null }] };
+};
+
+// Keyset filter: (k1 > v1) OR (k1 = v1 AND k2 > v2) OR ...
+const buildCursorFilter = (sortKeys, directions, values) => {
+  const branches = [];
+  for (let i = 0; i < sortKeys.length; i++) {
+    const after = afterCondition(sortKeys[i], values[i], directions[i]);
+    if (!after) continue;
+    const equalities = sortKeys
+      .slice(0, i)
+      .map((key, j) => ({ [key]: values[j] }));
+    branches.push(equalities.length ? { $and: [...equalities, after] } : after);
+  }
+  // No branch means nothing can come after the cursor
+  return branches.length ? { $or: branches } : { _id: { $exists: false } };
+};
+
+/**
+ * Run a cursor-paginated find.
+ * The sort is made total by appending `_id`; the returned cursor is opaque to
+ * clients and only valid for the same sort order.
+ * @param {import('mongoose').Model} Model - Model to query
+ * @param {Object} filter - Query filter
+ * @param {Object} options
+ * @param {Object} options.sort - Sort specification, e.g. { createdAt: -1 }
+ * @param {number} options.limit - Page size
+ * @param {string} [options.cursor] - `nextCursor` from the previous page
+ * @param {string} [options.select] - Projection
+ * @param {Function} [options.populate] - Receives the query, returns it with populates applied
+ * @returns {Promise<{items: Array, nextCursor: string|null, hasMore: boolean}>}
+ */
+export const paginate = async (
+  Model,
+  filter,
+  { sort, limit, cursor, select, populate }
+) => {
+  const sortSpec = { ...sort };
+  if (!("_id" in sortSpec)) {
+    const directions = Object.values(sortSpec);
+    sortSpec._id = directions.length ? directions[directions.length - 1] : -1;
+  }
+  const sortKeys = Object.keys(sortSpec);
+  const directions = sortKeys.map((key) => (sortSpec[key] === 1 ? 1 : -1));
+
+  const query = cursor
+    ? {
+        $and: [
+          filter,
+          buildCursorFilter(sortKeys, directions, decodeCursor(cursor, sortKeys)),
+        ],
+      }
+    : filter;
+
+  let findQuery = Model.find(query).sort(sortSpec).limit(limit + 1);
+  if (select) findQuery = findQuery.select(select);
+  if (populate) findQuery = populate(findQuery);
+
+  const docs = await findQuery;
+  const hasMore = docs.length > limit;
+  const items = hasMore ? docs.slice(0, limit) : docs;
+
+  return {
+    items,
+    nextCursor: hasMore ? encodeCursor(items[items.length - 1], sortKeys) : null,
+    hasMore,
+  };
+};
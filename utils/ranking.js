@@ -0,0 +1,128 @@
+import Task from "../models/Task.js";
+
+// Gap between neighbouring tasks after a rebalance
+export const RANK_STEP = 1024;
+// Once neighbours are closer than this, midpoints lose precision
+const MIN_RANK_GAP = 1e-6;
+
+/**
+ * Rank strictly between two neighbours; either side may be missing
+ * @param {number|null} beforeRank - Rank of the task directly above
+ * @param {number|null} afterRank - Rank of the task directly below
+ * @returns {number}
+ */
+export const rankBetween = (beforeRank, afterRank) => {
+  if (beforeRank == null && afterRank == null) return RANK_STEP;
+  if (beforeRank == null) return afterRank - RANK_STEP;
+  if (afterRank == null) return beforeRank + RANK_STEP;
+  return (beforeRank + afterRank) / 2;
+};
+
+/**
+ * Whether two neighbours are too close to fit another task between them
+ * @param {number|null} beforeRank
+ * @param {number|null} afterRank
+ * @returns {boolean}
+ */
+export const needsRebalance = (beforeRank, afterRank) =>
+  beforeRank != null && afterRank != null && afterRank - beforeRank < MIN_RANK_GAP;
+
+/**
+ * Re-space every task of a column RANK_STEP apart, keeping their order
+ * @param {string} projectId - Project ID
+ * @param {string} status - Column name
+ * @returns {Promise<void>}
+ */
+export const rebalanceColumn = async (projectId, status) => {
+  const tasks = await Task.find({ project: projectId, status })
+    .sort({ position: 1, _id: 1 })
+    .select("_id");
+
+  if (tasks.length === 0) return;
+
+  await Task.bulkWrite(
+    tasks.map((task, index) => ({
+      updateOne: {
+        filter: { _id: task._id },
+        update: { $set: { position: (index + 1) * RANK_STEP } },
+      },
+    }))
+  );
+};
+
+/**
+ * Find the tasks directly above and below a slot in a column
+ * @param {Object} options
+ * @param {string} options.projectId - Project ID
+ * @param {string} options.status - Column name
+ * @param {Object|null} options.before - Task the slot follows, if known
+ * @param {Object|null} options.after - Task the slot precedes, if known
+ * @param {string} options.excludeId - Task being moved (never its own neighbour)
+ * @returns {Promise<{before: Object|null, after: Object|null}>}
+ */
+const resolveNeighbours = async ({ projectId, status, before, after, excludeId }) => {
+  const column = { project: projectId, status, _id: { $ne: excludeId } };
+
+  if (before && !after) {
+    after = await Task.findOne({
+      ...column,
+      $or: [
+        { position: { $gt: before.position } },
+        { position: before.position, _id: { $gt: before._id } },
+      ],
+    })
+      .sort({ position: 1, _id: 1 })
+      .select("position");
+  } else if (after && !before) {
+    before = await Task.findOne({
+      ...column,
+      $or: [
+        { position: { $lt: after.position } },
+        { position: after.position, _id: { $lt: after._id } },
+      ],
+    })
+      .sort({ position: -1, _id: -1 })
+      .select("position");
+  } else if (!before && !after) {
+    // No neighbours given: append to the end of the column
+    before = await Task.findOne(column)
+      .sort({ position: -1, _id: -1 })
+      .select("position");
+  }
+
+  return { before, after };
+};
+
+/**
+ * Compute the rank for placing a task between two neighbours of a column,
+ * rebalancing the column first when the neighbours are too close together
+ * @param {Object} options - See resolveNeighbours
+ * @returns {Promise<number>}
+ */
+export const computeRank = async (options) => {
+  let { before, after } = await resolveNeighbours(options);
+
+  if (needsRebalance(before?.position, after?.position)) {
+    await rebalanceColumn(options.projectId, options.status);
+    // Re-read the neighbours' new ranks
+    [before, after] = await Promise.all([
+      before ? Task.findById(before._id).select("position") : null,
+      after ? Task.findById(after._id).select("position") : null,
+    ]);
+  }
+
+  return rankBetween(before?.position ?? null, after?.position ?? null);
+};
+
+/**
+ * Rank that places a task above every other task of a column
+ * @param {string} projectId - Project ID
+ * @param {string} status - Column name
+ * @returns {Promise<number>}
+ */
+export const rankAtTop = async (projectId, status) => {
+  const first = await Task.findOne({ project: projectId, status })
+    .sort({ position: 1, _id: 1 })
+    .select("position");
+  return rankBetween(null, first ? first.position : null);
+};
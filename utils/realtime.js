@@ -0,0 +1,302 @@
+import jwt from "jsonwebtoken";
+import { WebSocketServer, WebSocket } from "ws";
+import Project from "../models/Project.js";
+import Session from "../models/Session.js";
+import User from "../models/User.js";
+import { getUserFromToken, hasProjectAccess } from "../middleware/auth.js";
+
+const WS_PATH = "/api/ws";
+const HEARTBEAT_INTERVAL = 30000;
+// Close code sent when the socket's session ends (logout, revocation,
+// password or role change); clients should not reconnect with the same token
+const SESSION_ENDED_CODE = 4001;
+
+let wss = null;
+// projectId -> Set of sockets subscribed to that project's events
+const projectSubscriptions = new Map();
+
+const send = (socket, message) => {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(message));
+  }
+};
+
+const subscribe = async (socket, projectId) => {
+  if (!projectId || !String(projectId).match(/^[0-9a-fA-F]{24}$/)) {
+    return send(socket, { type: "error", message: "Invalid project ID format" });
+  }
+
+  const project = await Project.findById(projectId);
+  if (!project) {
+    return send(socket, { type: "error", message: "Project not found", projectId });
+  }
+
+  if (!hasProjectAccess(project, socket.user)) {
+    return send(socket, {
+      type: "error",
+      message: "Access denied. You are not a member of this project",
+      projectId,
+    });
+  }
+
+  const key = project._id.toString();
+  if (!projectSubscriptions.has(key)) {
+    projectSubscriptions.set(key, new Set());
+  }
+  projectSubscriptions.get(key).add(socket);
+  socket.projects.add(key);
+
+  send(socket, { type: "subscribed", projectId: key });
+};
+
+const unsubscribe = (socket, projectId) => {
+  const key = String(projectId);
+  const subscribers = projectSubscriptions.get(key);
+  if (subscribers) {
+    subscribers.delete(socket);
+    if (subscribers.size === 0) projectSubscriptions.delete(key);
+  }
+  socket.projects.delete(key);
+};
+
+const handleMessage = async (socket, raw) => {
+  let message;
+  try {
+    message = JSON.parse(raw.toString());
+  } catch (error) {
+    return send(socket, { type: "error", message: "Messages must be valid JSON" });
+  }
+
+  switch (message.type) {
+    case "subscribe":
+      return subscribe(socket, message.projectId);
+    case "unsubscribe":
+      unsubscribe(socket, message.projectId);
+      return send(socket, { type: "unsubscribed", projectId: message.projectId });
+    case "ping":
+      return send(socket, { type: "pong" });
+    default:
+      return send(socket, { type: "error", message: `Unknown message type "${message.type}"` });
+  }
+};
+
+// Browsers cannot set headers on a WebSocket handshake, so the token may
+// also be passed as a `token` query parameter
+const extractToken = (req) => {
+  const { authorization } = req.headers;
+  if (authorization && authorization.startsWith("Bearer")) {
+    return authorization.split(" ")[1];
+  }
+  const url = new URL(req.url, "http://localhost");
+  return url.searchParams.get("token");
+};
+
+const closeSocket = (socket) => {
+  socket.close(SESSION_ENDED_CODE, "Session ended");
+};
+
+// Close sockets whose session was revoked, expired or outdated by a
+// tokenVersion bump since they connected
+const closeEndedSessions = async () => {
+  const sockets = [...wss.clients];
+  if (sockets.length === 0) return;
+
+  const sessions = await Session.find({
+    _id: { $in: [...new Set(sockets.map((socket) => socket.sessionId))] },
+  });
+  const users = await User.find({
+    _id: { $in: sessions.map((session) => session.user) },
+  }).select("tokenVersion");
+
+  const activeIds = new Set(
+    sessions
+      .filter((session) => {
+        const user = users.find((candidate) => candidate._id.equals(session.user));
+        return user && session.isActive(user);
+      })
+      .map((session) => session._id.toString())
+  );
+
+  for (const socket of sockets) {
+    if (!activeIds.has(socket.sessionId)) closeSocket(socket);
+  }
+};
+
+const rejectUpgrade = (socket, status, message) => {
+  socket.write(`HTTP/1.1 ${status} ${message}\r\nConnection: close\r\n\r\n`);
+  socket.destroy();
+};
+
+/**
+ * Attach the real-time channel to an HTTP server.
+ * Clients connect to /api/ws with the same JWT used for the REST API and send
+ * `{ "type": "subscribe", "projectId": "..." }` to receive a project's events.
+ * @param {import('http').Server} server - HTTP server the Express app listens on
+ * @returns {WebSocketServer}
+ */
+export const initRealtime = (server) => {
+  wss = new WebSocketServer({ noServer: true });
+
+  server.on("upgrade", async (req, socket, head) => {
+    const { pathname } = new URL(req.url, "http://localhost");
+    if (pathname !== WS_PATH) {
+      return rejectUpgrade(socket, 404, "Not Found");
+    }
+
+    const token = extractToken(req);
+    if (!token) {
+      return rejectUpgrade(socket, 401, "Unauthorized");
+    }
+
+    let user;
+    try {
+      user = await getUserFromToken(token);
+    } catch (error) {
+      user = null;
+    }
+    if (!user) {
+      return rejectUpgrade(socket, 401, "Unauthorized");
+    }
+
+    wss.handleUpgrade(req, socket, head, (ws) => {
+      ws.user = user;
+      ws.sessionId = String(jwt.decode(token).sid);
+      ws.projects = new Set();
+      ws.isAlive = true;
+      wss.emit("connection", ws, req);
+    });
+  });
+
+  wss.on("connection", (socket) => {
+    socket.on("pong", () => {
+      socket.isAlive = true;
+    });
+    socket.on("message", (raw) => {
+      handleMessage(socket, raw).catch((error) => {
+        console.error("Error handling WebSocket message:", error);
+        send(socket, { type: "error", message: "Internal server error" });
+      });
+    });
+    socket.on("close", () => {
+      for (const projectId of [...socket.projects]) {
+        unsubscribe(socket, projectId);
+      }
+    });
+
+    send(socket, { type: "connected", userId: socket.user._id.toString() });
+  });
+
+  // Drop connections that stopped answering pings, and those whose session
+  // ended in a way that wasn't reported through closeSessionSockets
+  const heartbeat = setInterval(() => {
+    for (const socket of wss.clients) {
+      if (!socket.isAlive) {
+        socket.terminate();
+        continue;
+      }
+      socket.isAlive = false;
+      socket.ping();
+    }
+    closeEndedSessions().catch((error) =>
+      console.error("Error checking WebSocket sessions:", error)
+    );
+  }, HEARTBEAT_INTERVAL);
+  wss.on("close", () => clearInterval(heartbeat));
+
+  return wss;
+};
+
+/**
+ * Send an event to every socket subscribed to a project
+ * @param {string|import('mongoose').Types.ObjectId} projectId - Project the event belongs to
+ * @param {string} type - Event type, e.g. "task.created"
+ * @param {Object} data - Event payload
+ * @param {Object} [actor] - User who caused the event
+ */
+export const emitToProject = (projectId, type, data, actor) => {
+  const subscribers = projectSubscriptions.get(String(projectId?._id || projectId));
+  if (!subscribers) return;
+
+  const message = {
+    type,
+    projectId: String(projectId?._id || projectId),
+    data,
+    actor: actor ? { id: actor._id.toString(), name: actor.name } : null,
+    timestamp: new Date().toISOString(),
+  };
+
+  for (const socket of subscribers) {
+    send(socket, message);
+  }
+};
+
+/**
+ * Send an event to every open socket of a user, whatever they subscribed to
+ * @param {string|import('mongoose').Types.ObjectId} userId - Recipient
+ * @param {string} type - Event type, e.g. "notification.created"
+ * @param {Object} data - Event payload
+ */
+export const emitToUser = (userId, type, data) => {
+  if (!wss) return;
+
+  const key = String(userId);
+  const message = { type, data, timestamp: new Date().toISOString() };
+
+  for (const socket of wss.clients) {
+    if (socket.user && socket.user._id.toString() === key) {
+      send(socket, message);
+    }
+  }
+};
+
+/**
+ * Stop delivering a project's events to a user (e.g. after removal from the project)
+ * @param {string} projectId - Project ID
+ * @param {string} userId - User ID
+ */
+export const revokeProjectSubscriptions = (projectId, userId) => {
+  const key = String(projectId);
+  const subscribers = projectSubscriptions.get(key);
+  if (!subscribers) return;
+
+  for (const socket of [...subscribers]) {
+    if (socket.user._id.toString() === String(userId)) {
+      unsubscribe(socket, key);
+      send(socket, { type: "unsubscribed", projectId: key, reason: "access_revoked" });
+    }
+  }
+};
+
+/**
+ * Drop every subscription to a project (e.g. after it was deleted)
+ * @param {string} projectId - Project ID
+ */
+export const closeProjectChannel = (projectId) => {
+  const key = String(projectId);
+  const subscribers = projectSubscriptions.get(key);
+  if (!subscribers) return;
+
+  for (const socket of [...subscribers]) {
+    unsubscribe(socket, key);
+    send(socket, { type: "unsubscribed", projectId: key, reason: "project_deleted" });
+  }
+};
+
+/**
+ * Close the open sockets of revoked sessions right away
+ * @param {Object} filter
+ * @param {string} [filter.userId] - Close every socket of this user
+ * @param {string} [filter.sessionId] - Close the sockets of this session
+ */
+export const closeSessionSockets = ({ userId, sessionId }) => {
+  if (!wss) return;
+
+  for (const socket of wss.clients) {
+    if (
+      (userId && socket.user._id.toString() === String(userId)) ||
+      (sessionId && socket.sessionId === String(sessionId))
+    ) {
+      closeSocket(socket);
+    }
+  }
+};
@@ -0,0 +1,208 @@
+import mongoose from "mongoose";
+import Task from "../models/Task.js";
+import Project from "../models/Project.js";
+import Activity from "../models/Activity.js";
+import { rankAtTop } from "./ranking.js";
+
+export const FREQUENCIES = ["daily", "weekly", "monthly", "custom"];
+export const CUSTOM_UNITS = ["day", "week", "month"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const addDays = (date, days) => new Date(date.getTime() + days * DAY_MS);
+
+// Same time of day, `months` later, clamped to the end of shorter months
+const addMonths = (date, months, dayOfMonth = date.getDate()) => {
+  const result = new Date(date);
+  result.setDate(1);
+  result.setMonth(result.getMonth() + months);
+  const lastDay = new Date(
+    result.getFullYear(),
+    result.getMonth() + 1,
+    0
+  ).getDate();
+  result.setDate(Math.min(dayOfMonth, lastDay));
+  return result;
+};
+
+/**
+ * Validate a recurrence rule from a request body
+ * @param {Object} rule - { frequency, interval, weekdays, dayOfMonth, unit, endDate, count }
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateRecurrence = (rule) => {
+  if (typeof rule !== "object" || Array.isArray(rule)) {
+    return "Recurrence must be an object";
+  }
+  if (!FREQUENCIES.includes(rule.frequency)) {
+    return `Recurrence frequency must be one of: ${FREQUENCIES.join(", ")}`;
+  }
+  if (
+    rule.interval !== undefined &&
+    (!Number.isInteger(rule.interval) || rule.interval < 1)
+  ) {
+    return "Recurrence interval must be a positive integer";
+  }
+  if (
+    rule.weekdays !== undefined &&
+    (!Array.isArray(rule.weekdays) ||
+      !rule.weekdays.every((day) => Number.isInteger(day) && day >= 0 && day <= 6))
+  ) {
+    return "Recurrence weekdays must be numbers from 0 (Sunday) to 6 (Saturday)";
+  }
+  if (
+    rule.dayOfMonth !== undefined &&
+    rule.dayOfMonth !== null &&
+    (!Number.isInteger(rule.dayOfMonth) || rule.dayOfMonth < 1 || rule.dayOfMonth > 31)
+  ) {
+    return "Recurrence dayOfMonth must be between 1 and 31";
+  }
+  if (rule.unit !== undefined && !CUSTOM_UNITS.includes(rule.unit)) {
+    return `Recurrence unit must be one of: ${CUSTOM_UNITS.join(", ")}`;
+  }
+  if (
+    rule.count !== undefined &&
+    rule.count !== null &&
+    (!Number.isInteger(rule.count) || rule.count < 1)
+  ) {
+    return "Recurrence count must be a positive integer";
+  }
+  if (
+    rule.endDate !== undefined &&
+    rule.endDate !== null &&
+    Number.isNaN(new Date(rule.endDate).getTime())
+  ) {
+    return "Invalid recurrence end date";
+  }
+  return null;
+};
+
+/**
+ * Due date of the occurrence following one due on `from`
+ * @param {Object} rule - Recurrence rule
+ * @param {Date} from - Due date of the current occurrence
+ * @returns {Date}
+ */
+export const computeNextDueDate = (rule, from) => {
+  const interval = rule.interval || 1;
+
+  switch (rule.frequency) {
+    case "daily":
+      return addDays(from, interval);
+    case "weekly": {
+      const weekdays = [...new Set(rule.weekdays || [])].sort((a, b) => a - b);
+      if (weekdays.length === 0) return addDays(from, 7 * interval);
+
+      // Later weekday in the same week, else the first weekday `interval` weeks on
+      const current = from.getDay();
+      const later = weekdays.find((day) => day > current);
+      if (later !== undefined) return addDays(from, later - current);
+      return addDays(from, 7 * interval - current + weekdays[0]);
+    }
+    case "monthly":
+      return addMonths(from, interval, rule.dayOfMonth || from.getDate());
+    case "custom":
+      if (rule.unit === "week") return addDays(from, 7 * interval);
+      if (rule.unit === "month") return addMonths(from, interval);
+      return addDays(from, interval);
+    default:
+      throw new Error(`Unknown recurrence frequency "${rule.frequency}"`);
+  }
+};
+
+// Next due date after `now` following `from`, skipping occurrences that are
+// already in the past (they count towards the rule's `count`)
+const nextUpcomingOccurrence = (rule, from, occurrence, now = new Date()) => {
+  let dueDate = from;
+  let next = occurrence;
+  do {
+    if (rule.count && next >= rule.count) return null;
+    dueDate = computeNextDueDate(rule, dueDate);
+    next += 1;
+    if (rule.endDate && dueDate > rule.endDate) return null;
+  } while (dueDate <= now);
+
+  return { dueDate, occurrence: next };
+};
+
+/**
+ * Create the next occurrence of a recurring task, at most once per task.
+ * Copies title, description, priority, assignees, watchers, labels and the
+ * checklist (unchecked) and shifts the due date by the recurrence rule to the
+ * first date that is still ahead, so a long-overdue task produces one
+ * upcoming occurrence instead of a string of overdue copies.
+ * @param {import('mongoose').Document} task - Task that was completed or fell due
+ * @param {Object} [actor] - User triggering the generation (defaults to the task creator)
+ * @returns {Promise<import('mongoose').Document|null>} New task, or null if the
+ *   series has ended or the next occurrence already exists
+ */
+export const createNextOccurrence = async (task, actor) => {
+  const rule = task.recurrence;
+  if (!rule || !rule.frequency || task.nextOccurrence) return null;
+
+  const upcoming = nextUpcomingOccurrence(
+    rule,
+    task.dueDate || new Date(),
+    rule.occurrence || 1
+  );
+  if (!upcoming) {
+    // Mark the series as finished so the recurring-tasks job stops picking it up
+    if (!task.recurrenceEndedAt) {
+      task.recurrenceEndedAt = new Date();
+      await Task.updateOne(
+        { _id: task._id },
+        { $set: { recurrenceEndedAt: task.recurrenceEndedAt } }
+      );
+    }
+    return null;
+  }
+  const { dueDate, occurrence } = upcoming;
+
+  const project = await Project.findById(task.project).select("columns");
+  if (!project) return null;
+
+  // Claim the slot first so concurrent completions/job runs create one task
+  const nextId = new mongoose.Types.ObjectId();
+  const claim = await Task.updateOne(
+    { _id: task._id, nextOccurrence: null },
+    { $set: { nextOccurrence: nextId } }
+  );
+  if (claim.modifiedCount === 0) return null;
+  task.nextOccurrence = nextId;
+
+  const status = project.getDefaultStatus();
+  const recurrence = rule.toObject ? rule.toObject() : { ...rule };
+
+  const nextTask = await Task.create({
+    _id: nextId,
+    title: task.title,
+    description: task.description,
+    priority: task.priority,
+    status,
+    position: await rankAtTop(project._id, status),
+    dueDate,
+    project: task.project,
+    assignees: task.assignees,
+    watchers: task.watchers,
+    labels: task.labels,
+    checklist: task.checklist.map((item) => ({
+      text: item.text,
+      assignee: item.assignee,
+      order: item.order,
+    })),
+    createdBy: task.createdBy,
+    recurrence: { ...recurrence, occurrence },
+    recurrenceSeries: task.recurrenceSeries || task._id,
+  });
+
+  await Activity.create({
+    type: "task_created",
+    description: `Next occurrence of recurring task "${task.title}" was created`,
+    project: task.project,
+    task: nextTask._id,
+    user: actor ? actor._id : task.createdBy,
+    metadata: { previousTaskId: task._id, occurrence },
+  });
+
+  return nextTask;
+};
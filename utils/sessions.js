@@ -0,0 +1,139 @@
+import crypto from "crypto";
+import Session from "../models/Session.js";
+import User from "../models/User.js";
+import { generateToken } from "./generateToken.js";
+import { closeSessionSockets } from "./realtime.js";
+
+const REFRESH_TOKEN_DAYS = parseInt(process.env.REFRESH_TOKEN_DAYS) || 30;
+
+const hashToken = (secret) =>
+  crypto.createHash("sha256").update(secret).digest("hex");
+
+const newSecret = () => crypto.randomBytes(48).toString("base64url");
+
+const refreshExpiry = () =>
+  new Date(Date.now() + REFRESH_TOKEN_DAYS * 24 * 60 * 60 * 1000);
+
+// Refresh tokens are "<sessionId>.<secret>"; only the secret's hash is stored
+const formatRefreshToken = (session, secret) => `${session._id}.${secret}`;
+
+const parseRefreshToken = (refreshToken) => {
+  if (typeof refreshToken !== "string") return null;
+  const [sessionId, secret] = refreshToken.split(".");
+  if (!sessionId || !secret || !sessionId.match(/^[0-9a-fA-F]{24}$/)) {
+    return null;
+  }
+  return { sessionId, secret };
+};
+
+/**
+ * Start a session for a user who just authenticated
+ * @param {import('mongoose').Document} user - User document
+ * @param {import('express').Request} req - Request (for device info)
+ * @returns {Promise<{token: string, refreshToken: string, session: Object}>}
+ */
+export const createSession = async (user, req) => {
+  const secret = newSecret();
+  const session = await Session.create({
+    user: user._id,
+    refreshTokenHash: hashToken(secret),
+    tokenVersion: user.tokenVersion || 0,
+    userAgent: (req.headers["user-agent"] || "").slice(0, 300),
+    ip: req.ip || "",
+    expiresAt: refreshExpiry(),
+  });
+
+  return {
+    token: generateToken(user._id, session._id, session.tokenVersion),
+    refreshToken: formatRefreshToken(session, secret),
+    session,
+  };
+};
+
+/**
+ * Exchange a refresh token for a new access token and a new refresh token
+ * @param {string} refreshToken - Refresh token issued by createSession or a previous rotation
+ * @returns {Promise<{token: string, refreshToken: string, user: Object}|null>}
+ *   null when the token is invalid, expired, revoked or was already used
+ */
+export const rotateSession = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return null;
+
+  const session = await Session.findById(parsed.sessionId);
+  if (!session) return null;
+
+  const user = await User.findById(session.user);
+  if (!user || !session.isActive(user)) return null;
+
+  const presentedHash = hashToken(parsed.secret);
+
+  if (presentedHash !== session.refreshTokenHash) {
+    // A rotated-out token is being replayed: assume it was stolen
+    if (presentedHash === session.previousTokenHash) {
+      session.revokedAt = new Date();
+      await session.save();
+    }
+    return null;
+  }
+
+  const secret = newSecret();
+  // Conditional update so two concurrent refreshes cannot both succeed
+  const rotated = await Session.findOneAndUpdate(
+    { _id: session._id, refreshTokenHash: presentedHash, revokedAt: null },
+    {
+      $set: {
+        refreshTokenHash: hashToken(secret),
+        previousTokenHash: presentedHash,
+        lastUsedAt: new Date(),
+        expiresAt: refreshExpiry(),
+      },
+    },
+    { new: true }
+  );
+  if (!rotated) return null;
+
+  return {
+    token: generateToken(user._id, rotated._id, rotated.tokenVersion),
+    refreshToken: formatRefreshToken(rotated, secret),
+    user,
+  };
+};
+
+/**
+ * Revoke the session a refresh token belongs to
+ * @param {string} refreshToken - Refresh token
+ * @returns {Promise<boolean>} Whether a session was revoked
+ */
+export const revokeSessionByRefreshToken = async (refreshToken) => {
+  const parsed = parseRefreshToken(refreshToken);
+  if (!parsed) return false;
+
+  const result = await Session.updateOne(
+    {
+      _id: parsed.sessionId,
+      refreshTokenHash: hashToken(parsed.secret),
+      revokedAt: null,
+    },
+    { $set: { revokedAt: new Date() } }
+  );
+  if (result.modifiedCount === 0) return false;
+
+  closeSessionSockets({ sessionId: parsed.sessionId });
+  return true;
+};
+
+/**
+ * Invalidate every access and refresh token of a user (logout everywhere,
+ * password or role change)
+ * @param {string} userId - User ID
+ * @returns {Promise<void>}
+ */
+export const revokeAllSessions = async (userId) => {
+  await User.updateOne({ _id: userId }, { $inc: { tokenVersion: 1 } });
+  await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date() } }
+  );
+  closeSessionSockets({ userId });
+};
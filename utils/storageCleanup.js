@@ -0,0 +1,76 @@
+import StorageDeletion from "../models/StorageDeletion.js";
+import { deleteFromR2 } from "./cloudflareR2.js";
+
+export const MAX_DELETION_ATTEMPTS = 10;
+
+const RETRY_BASE_MS = 60 * 1000;
+const RETRY_MAX_MS = 24 * 60 * 60 * 1000;
+
+// 1, 2, 4, ... minutes after each failure, at most a day
+const retryDelay = (attempts) =>
+  Math.min(RETRY_BASE_MS * 2 ** (attempts - 1), RETRY_MAX_MS);
+
+/**
+ * Record R2 objects to delete. Pass the session when the documents that
+ * reference them are deleted in a transaction, so no key is lost.
+ * @param {Array<string>} keys - R2 object keys (empty values are skipped)
+ * @param {import('mongoose').ClientSession} [session]
+ * @returns {Promise<Array<import('mongoose').Document>>} Queued deletions
+ */
+export const queueStorageDeletions = async (keys, session) => {
+  const uniqueKeys = [...new Set(keys.filter(Boolean))];
+  if (uniqueKeys.length === 0) return [];
+  return StorageDeletion.insertMany(
+    uniqueKeys.map((key) => ({ key })),
+    { session }
+  );
+};
+
+/**
+ * Try queued deletions now; failures are rescheduled with backoff and given
+ * up after MAX_DELETION_ATTEMPTS
+ * @param {Array<import('mongoose').Document>} deletions - StorageDeletion documents
+ * @returns {Promise<{deleted: number, failed: number}>}
+ */
+export const processStorageDeletions = async (deletions) => {
+  let deleted = 0;
+  let failed = 0;
+
+  for (const deletion of deletions) {
+    try {
+      await deleteFromR2(deletion.key);
+      await StorageDeletion.deleteOne({ _id: deletion._id });
+      deleted += 1;
+    } catch (error) {
+      failed += 1;
+      const attempts = deletion.attempts + 1;
+      const exhausted = attempts >= MAX_DELETION_ATTEMPTS;
+      await StorageDeletion.updateOne(
+        { _id: deletion._id },
+        {
+          attempts,
+          lastError: error.message,
+          nextAttemptAt: exhausted
+            ? null
+            : new Date(Date.now() + retryDelay(attempts)),
+        }
+      );
+      if (exhausted) {
+        console.error(
+          `Giving up deleting "${deletion.key}" from R2 after ${attempts} attempts:`,
+          error.message
+        );
+      }
+    }
+  }
+
+  return { deleted, failed };
+};
+
+/**
+ * Delete R2 objects now, leaving failed ones to the retry job
+ * @param {Array<string>} keys - R2 object keys
+ * @returns {Promise<{deleted: number, failed: number}>}
+ */
+export const deleteStoredObjects = async (keys) =>
+  processStorageDeletions(await queueStorageDeletions(keys));
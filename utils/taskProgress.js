@@ -0,0 +1,63 @@
+import Task from "../models/Task.js";
+import Project from "../models/Project.js";
+
+const idOf = (ref) => (ref && ref._id ? ref._id : ref).toString();
+
+/**
+ * Attach checklist and subtask progress counts to tasks
+ * @param {Array<import('mongoose').Document>} tasks - Task documents (project may be populated)
+ * @returns {Promise<Array<Object>>} Plain task objects with a `progress` field:
+ *   { checklist: { completed, total }, subtasks: { completed, total } }
+ */
+export const withProgress = async (tasks) => {
+  if (tasks.length === 0) return [];
+
+  const taskIds = tasks.map((task) => task._id);
+  const projectIds = [...new Set(tasks.map((task) => idOf(task.project)))];
+
+  const [childCounts, projects] = await Promise.all([
+    Task.aggregate([
+      // Aggregations skip the model's query middleware, so exclude trashed subtasks here
+      { $match: { parent: { $in: taskIds }, deletedAt: null } },
+      {
+        $group: {
+          _id: { parent: "$parent", status: "$status" },
+          count: { $sum: 1 },
+        },
+      },
+    ]),
+    Project.find({ _id: { $in: projectIds } }).select("columns"),
+  ]);
+
+  const doneStatusesByProject = new Map(
+    projects.map((project) => [project._id.toString(), project.getDoneStatuses()])
+  );
+  const projectByTask = new Map(
+    tasks.map((task) => [task._id.toString(), idOf(task.project)])
+  );
+
+  const subtasks = new Map();
+  for (const { _id, count } of childCounts) {
+    const parentId = _id.parent.toString();
+    const doneStatuses =
+      doneStatusesByProject.get(projectByTask.get(parentId)) || [];
+    const counts = subtasks.get(parentId) || { completed: 0, total: 0 };
+    counts.total += count;
+    if (doneStatuses.includes(_id.status)) counts.completed += count;
+    subtasks.set(parentId, counts);
+  }
+
+  return tasks.map((task) => {
+    const checklist = task.checklist || [];
+    return {
+      ...task.toJSON(),
+      progress: {
+        checklist: {
+          completed: checklist.filter((item) => item.done).length,
+          total: checklist.length,
+        },
+        subtasks: subtasks.get(task._id.toString()) || { completed: 0, total: 0 },
+      },
+    };
+  });
+};
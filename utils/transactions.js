@@ -0,0 +1,36 @@
+import mongoose from "mongoose";
+
+let warnedUnsupported = false;
+
+// Standalone servers reject sessions with transactions (IllegalOperation)
+const isTransactionUnsupported = (error) =>
+  error.code === 20 || /replica set member or mongos/.test(error.message || "");
+
+/**
+ * Run `work` inside a MongoDB transaction, retrying on transient errors.
+ * Transactions need a replica set; on a standalone server `work` runs
+ * without one (and receives no session).
+ * @param {function(import('mongoose').ClientSession=): Promise<*>} work
+ * @returns {Promise<*>} What `work` returned
+ */
+export const runInTransaction = async (work) => {
+  const session = await mongoose.startSession();
+  try {
+    let result;
+    await session.withTransaction(async () => {
+      result = await work(session);
+    });
+    return result;
+  } catch (error) {
+    if (!isTransactionUnsupported(error)) throw error;
+    if (!warnedUnsupported) {
+      warnedUnsupported = true;
+      console.warn(
+        "MongoDB transactions are not supported by this server (no replica set); running without them"
+      );
+    }
+    return work(undefined);
+  } finally {
+    await session.endSession();
+  }
+};
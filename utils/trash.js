@@ -0,0 +1,246 @@
+import Task from "../models/Task.js";
+import Project from "../models/Project.js";
+import Activity from "../models/Activity.js";
+import Label from "../models/Label.js";
+import Invitation from "../models/Invitation.js";
+import Comment from "../models/Comment.js";
+import Notification from "../models/Notification.js";
+import { rankAtTop } from "./ranking.js";
+import { runInTransaction } from "./transactions.js";
+import {
+  queueStorageDeletions,
+  processStorageDeletions,
+} from "./storageCleanup.js";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Days a trashed project or task can be restored before it is purged
+ * (TRASH_RETENTION_DAYS, default 30)
+ * @returns {number}
+ */
+export const getRetentionDays = () => {
+  const days = parseInt(process.env.TRASH_RETENTION_DAYS, 10);
+  return Number.isNaN(days) || days < 0 ? 30 : days;
+};
+
+/**
+ * When an item trashed at `deletedAt` will be purged
+ * @param {Date} deletedAt
+ * @returns {Date}
+ */
+export const purgeDate = (deletedAt) =>
+  new Date(deletedAt.getTime() + getRetentionDays() * DAY_MS);
+
+/**
+ * Query fragment for the `archived` listing parameter: omitted or "false"
+ * hides archived items, "true" lists only them, "all" lists both
+ * @param {string} [value] - Raw query parameter
+ * @returns {Object|null} Filter to merge into the query, or null if invalid
+ */
+export const archivedFilter = (value) => {
+  if (value === undefined || value === "" || value === "false") {
+    return { archivedAt: null };
+  }
+  if (value === "true") return { archivedAt: { $ne: null } };
+  if (value === "all") return {};
+  return null;
+};
+
+/**
+ * IDs of the projects in the trash, for leaving their tasks out of background
+ * jobs (trashed projects don't populate)
+ * @returns {Promise<Array<import('mongoose').Types.ObjectId>>}
+ */
+export const findTrashedProjectIds = () =>
+  Project.distinct("_id", { deletedAt: { $ne: null } }).setOptions({
+    withDeleted: true,
+  });
+
+// IDs of every (not yet trashed) subtask below a task, at any depth
+const findDescendantIds = async (taskId) => {
+  const ids = [];
+  let frontier = [taskId];
+
+  while (frontier.length > 0) {
+    const children = await Task.find({ parent: { $in: frontier } }).select("_id");
+    frontier = children.map((child) => child._id);
+    ids.push(...frontier);
+  }
+
+  return ids;
+};
+
+/**
+ * Move a task and its subtasks to the trash
+ * @param {import('mongoose').Document} task - Task to trash
+ * @param {Object} user - User deleting the task
+ * @returns {Promise<Array<import('mongoose').Types.ObjectId>>} IDs of the subtasks trashed with it
+ */
+export const trashTask = async (task, user) => {
+  const deletedAt = new Date();
+  const subtaskIds = await findDescendantIds(task._id);
+
+  if (subtaskIds.length > 0) {
+    await Task.updateMany(
+      { _id: { $in: subtaskIds } },
+      { deletedAt, deletedBy: user._id, deletedWith: task._id }
+    );
+  }
+
+  task.deletedAt = deletedAt;
+  task.deletedBy = user._id;
+  task.deletedWith = null;
+  await task.save();
+
+  return subtaskIds;
+};
+
+/**
+ * Take a trashed task, and the subtasks trashed with it, out of the trash.
+ * A task whose column was deleted meanwhile goes back to the first column.
+ * @param {import('mongoose').Document} task - Trashed task
+ * @param {import('mongoose').Document} project - The task's project
+ * @returns {Promise<Array<import('mongoose').Types.ObjectId>>} IDs of the restored subtasks
+ */
+export const restoreTask = async (task, project) => {
+  const subtasks = await Task.find({ deletedWith: task._id })
+    .setOptions({ withDeleted: true })
+    .select("_id");
+  const subtaskIds = subtasks.map((subtask) => subtask._id);
+
+  if (subtaskIds.length > 0) {
+    await Task.updateMany(
+      { _id: { $in: subtaskIds } },
+      { deletedAt: null, deletedBy: null, deletedWith: null }
+    );
+  }
+
+  if (!project.hasColumn(task.status)) {
+    task.status = project.getDefaultStatus();
+    task.position = await rankAtTop(project._id, task.status);
+  }
+
+  task.deletedAt = null;
+  task.deletedBy = null;
+  await task.save();
+
+  return subtaskIds;
+};
+
+// R2 keys of every attachment of the given tasks
+const attachmentKeys = (tasks) =>
+  tasks.flatMap((task) =>
+    (task.attachments || [])
+      .map((attachment) => attachment.key)
+      .filter(Boolean)
+  );
+
+// The subtasks that go with a task: those trashed with it, or for a task
+// still on the board (dry run) every subtask below it
+const findSubtasksOf = async (task) => {
+  const filter = task.deletedAt
+    ? { deletedWith: task._id }
+    : { _id: { $in: await findDescendantIds(task._id) } };
+  return Task.find(filter)
+    .setOptions({ withDeleted: true })
+    .select("attachments");
+};
+
+/**
+ * Permanently delete a task, the subtasks trashed with it, their comments and
+ * notifications in one transaction, then their attachments in R2 (failures
+ * are retried by a background job)
+ * @param {import('mongoose').Document} task - Task to purge
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only report what would be removed
+ * @returns {Promise<{tasks: number, comments: number, notifications: number, attachments: number}>}
+ */
+export const purgeTask = async (task, { dryRun = false } = {}) => {
+  const tasks = [task, ...(await findSubtasksOf(task))];
+  const taskIds = tasks.map((doomed) => doomed._id);
+  const keys = attachmentKeys(tasks);
+
+  const report = {
+    tasks: taskIds.length,
+    comments: await Comment.countDocuments({ task: { $in: taskIds } }),
+    notifications: await Notification.countDocuments({ task: { $in: taskIds } }),
+    attachments: keys.length,
+  };
+  if (dryRun) return report;
+
+  const deletions = await runInTransaction(async (session) => {
+    const queued = await queueStorageDeletions(keys, session);
+    await Comment.deleteMany({ task: { $in: taskIds } }, { session });
+    await Notification.deleteMany({ task: { $in: taskIds } }, { session });
+    await Task.deleteMany({ _id: { $in: taskIds } }, { session });
+    // Subtasks outlive their parent as top-level tasks
+    await Task.updateMany(
+      { parent: { $in: taskIds } },
+      { parent: null },
+      { session }
+    );
+    await Task.updateMany(
+      { blockedBy: { $in: taskIds } },
+      { $pull: { blockedBy: { $in: taskIds } } },
+      { session }
+    );
+    return queued;
+  });
+
+  await processStorageDeletions(deletions);
+  return report;
+};
+
+/**
+ * Permanently delete a project with its tasks, comments, activities, labels,
+ * invitations and notifications in one transaction, then the tasks' attachments in R2
+ * (failures are retried by a background job)
+ * @param {import('mongoose').Document} project - Project to purge
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun] - Only report what would be removed
+ * @returns {Promise<{projects: number, tasks: number, comments: number, activities: number, labels: number, invitations: number, notifications: number, attachments: number}>}
+ */
+export const purgeProject = async (project, { dryRun = false } = {}) => {
+  const tasks = await Task.find({ project: project._id })
+    .setOptions({ withDeleted: true })
+    .select("attachments");
+  const taskIds = tasks.map((task) => task._id);
+  const keys = attachmentKeys(tasks);
+  const projectFilter = { project: project._id };
+
+  const [comments, activities, labels, invitations, notifications] =
+    await Promise.all([
+      Comment.countDocuments({ task: { $in: taskIds } }),
+      Activity.countDocuments(projectFilter),
+      Label.countDocuments(projectFilter),
+      Invitation.countDocuments(projectFilter),
+      Notification.countDocuments(projectFilter),
+    ]);
+  const report = {
+    projects: 1,
+    tasks: taskIds.length,
+    comments,
+    activities,
+    labels,
+    invitations,
+    notifications,
+    attachments: keys.length,
+  };
+  if (dryRun) return report;
+
+  const deletions = await runInTransaction(async (session) => {
+    const queued = await queueStorageDeletions(keys, session);
+    await Comment.deleteMany({ task: { $in: taskIds } }, { session });
+    await Task.deleteMany(projectFilter, { session });
+    await Activity.deleteMany(projectFilter, { session });
+    await Label.deleteMany(projectFilter, { session });
+    await Invitation.deleteMany(projectFilter, { session });
+    await Notification.deleteMany(projectFilter, { session });
+    await Project.deleteOne({ _id: project._id }, { session });
+    return queued;
+  });
+
+  await processStorageDeletions(deletions);
+  return report;
+};
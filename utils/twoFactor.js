@@ -0,0 +1,189 @@
+import crypto from "crypto";
+import { hashToken } from "../models/User.js";
+
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD = 30; // seconds
+// Accept codes from one period either side to absorb clock drift
+const TOTP_WINDOW = 1;
+const RECOVERY_CODE_COUNT = 10;
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+const base32Encode = (buffer) => {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+  return output;
+};
+
+const base32Decode = (input) => {
+  const clean = input.replace(/=+$/, "").replace(/\s/g, "").toUpperCase();
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 secret");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+  return Buffer.from(bytes);
+};
+
+// RFC 4226 HOTP value for a counter
+const hotp = (secret, counter) => {
+  const counterBuffer = Buffer.alloc(8);
+  counterBuffer.writeBigUInt64BE(BigInt(counter));
+  const digest = crypto
+    .createHmac("sha1", base32Decode(secret))
+    .update(counterBuffer)
+    .digest();
+  const offset = digest[digest.length - 1] & 0xf;
+  const binary = digest.readUInt32BE(offset) & 0x7fffffff;
+  return String(binary % 10 ** TOTP_DIGITS).padStart(TOTP_DIGITS, "0");
+};
+
+const currentStep = (time = Date.now()) => Math.floor(time / 1000 / TOTP_PERIOD);
+
+/**
+ * Generate a new random TOTP secret
+ * @returns {string} Base32-encoded secret
+ */
+export const generateSecret = () => base32Encode(crypto.randomBytes(20));
+
+/**
+ * Build the otpauth:// URI authenticator apps read from a QR code
+ * @param {string} secret - Base32 secret
+ * @param {string} accountName - Usually the user's email
+ * @returns {string}
+ */
+export const buildOtpauthUri = (secret, accountName) => {
+  const issuer = process.env.TWO_FACTOR_ISSUER || "Team Task Manager";
+  const label = encodeURIComponent(`${issuer}:${accountName}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD),
+  });
+  return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+/**
+ * Check a TOTP code against a secret
+ * @param {string} secret - Base32 secret
+ * @param {string} code - Code entered by the user
+ * @param {number} [lastUsedStep] - Step of the last accepted code; it and earlier steps are rejected
+ * @returns {number|null} Time step the code belongs to, or null if invalid
+ */
+export const verifyTotp = (secret, code, lastUsedStep = -1) => {
+  const normalized = String(code || "").replace(/\s/g, "");
+  if (!new RegExp(`^\\d{${TOTP_DIGITS}}$`).test(normalized)) return null;
+
+  const now = currentStep();
+  for (let step = now - TOTP_WINDOW; step <= now + TOTP_WINDOW; step++) {
+    if (step <= lastUsedStep) continue;
+    const expected = hotp(secret, step);
+    if (crypto.timingSafeEqual(Buffer.from(expected), Buffer.from(normalized))) {
+      return step;
+    }
+  }
+  return null;
+};
+
+// AES-256-GCM key for secrets at rest
+const encryptionKey = () =>
+  crypto
+    .createHash("sha256")
+    .update(process.env.TWO_FACTOR_ENCRYPTION_KEY || process.env.JWT_SECRET || "")
+    .digest();
+
+/**
+ * Encrypt a TOTP secret for storage
+ * @param {string} secret - Base32 secret
+ * @returns {string} "iv.tag.ciphertext" in base64url
+ */
+export const encryptSecret = (secret) => {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", encryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  return [iv, cipher.getAuthTag(), encrypted]
+    .map((part) => part.toString("base64url"))
+    .join(".");
+};
+
+/**
+ * Decrypt a secret produced by encryptSecret
+ * @param {string} payload - Stored value
+ * @returns {string} Base32 secret
+ */
+export const decryptSecret = (payload) => {
+  const [iv, tag, encrypted] = payload
+    .split(".")
+    .map((part) => Buffer.from(part, "base64url"));
+  const decipher = crypto.createDecipheriv("aes-256-gcm", encryptionKey(), iv);
+  decipher.setAuthTag(tag);
+  return Buffer.concat([decipher.update(encrypted), decipher.final()]).toString("utf8");
+};
+
+/**
+ * Generate one-time recovery codes
+ * @returns {{codes: string[], hashes: string[]}} Codes to show once, hashes to store
+ */
+export const generateRecoveryCodes = () => {
+  const codes = Array.from({ length: RECOVERY_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(5).toString("hex");
+    return `${raw.slice(0, 5)}-${raw.slice(5)}`;
+  });
+  return { codes, hashes: codes.map((code) => hashToken(code)) };
+};
+
+/**
+ * Verify a second factor for a user with 2FA enabled, consuming it so it
+ * can't be replayed. The caller must save the user afterwards.
+ * @param {import('mongoose').Document} user - User document
+ * @param {Object} input
+ * @param {string} [input.code] - Current TOTP code
+ * @param {string} [input.recoveryCode] - One-time recovery code
+ * @returns {boolean} Whether the factor was accepted
+ */
+export const verifySecondFactor = (user, { code, recoveryCode }) => {
+  const twoFactor = user.twoFactor;
+  if (!twoFactor || !twoFactor.enabled || !twoFactor.secret) return false;
+
+  if (code) {
+    const step = verifyTotp(
+      decryptSecret(twoFactor.secret),
+      code,
+      twoFactor.lastUsedStep ?? -1
+    );
+    if (step === null) return false;
+    twoFactor.lastUsedStep = step;
+    return true;
+  }
+
+  if (recoveryCode) {
+    const hash = hashToken(String(recoveryCode).trim().toLowerCase());
+    const index = twoFactor.recoveryCodeHashes.indexOf(hash);
+    if (index === -1) return false;
+    twoFactor.recoveryCodeHashes.splice(index, 1);
+    return true;
+  }
+
+  return false;
+};
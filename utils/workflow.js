@@ -0,0 +1,37 @@
+/**
+ * Build a Task query fragment matching tasks that are not in a "done" column
+ * of their project. Done columns are configured per project, so the filter is
+ * expressed per project.
+ * @param {Array<import('mongoose').Document>} projects - Projects with `columns` loaded
+ * @returns {Object} Query fragment to merge into a Task query
+ */
+export const buildOpenTaskFilter = (projects) => {
+  const doneConditions = projects
+    .map((project) => ({ project: project._id, doneStatuses: project.getDoneStatuses() }))
+    .filter(({ doneStatuses }) => doneStatuses.length > 0)
+    .map(({ project, doneStatuses }) => ({ project, status: { $in: doneStatuses } }));
+
+  // $nor must not be empty
+  return doneConditions.length > 0 ? { $nor: doneConditions } : {};
+};
+
+/**
+ * Validate a column payload against a project's existing columns
+ * @param {import('mongoose').Document} project - Project document
+ * @param {string} name - Proposed column name
+ * @param {string} [excludeColumnId] - Column being renamed (ignored in duplicate check)
+ * @returns {string|null} Error message, or null when valid
+ */
+export const validateColumnName = (project, name, excludeColumnId) => {
+  if (typeof name !== 'string' || !name.trim()) {
+    return 'Column name is required';
+  }
+  if (name.trim().length > 50) {
+    return 'Column name must be less than 50 characters';
+  }
+  const existing = project.findColumnByName(name);
+  if (existing && existing._id.toString() !== excludeColumnId) {
+    return `A column named "${existing.name}" already exists in this project`;
+  }
+  return null;
+};
@@ -0,0 +1,69 @@
+import Workspace from "../models/Workspace.js";
+import User from "../models/User.js";
+
+/**
+ * Create a workspace with the creator as its first admin and make it their
+ * current workspace
+ * @param {Object} user - Creating user
+ * @param {string} name - Workspace name
+ * @returns {Promise<import('mongoose').Document>}
+ */
+export const createWorkspace = async (user, name) => {
+  const workspace = await Workspace.create({
+    name,
+    createdBy: user._id,
+    members: [{ user: user._id, role: "admin" }],
+  });
+
+  await User.updateOne(
+    { _id: user._id },
+    { $set: { currentWorkspace: workspace._id } }
+  );
+  user.currentWorkspace = workspace._id;
+
+  return workspace;
+};
+
+/**
+ * The workspace a user works in by default: their current one if they still
+ * belong to it, else the oldest one they belong to, else a new personal one
+ * @param {Object} user - User document
+ * @returns {Promise<import('mongoose').Document>}
+ */
+export const getDefaultWorkspace = async (user) => {
+  if (user.currentWorkspace) {
+    const current = await Workspace.findOne({
+      _id: user.currentWorkspace,
+      "members.user": user._id,
+    });
+    if (current) return current;
+  }
+
+  const first = await Workspace.findOne({ "members.user": user._id }).sort({
+    createdAt: 1,
+  });
+  if (first) {
+    await User.updateOne(
+      { _id: user._id },
+      { $set: { currentWorkspace: first._id } }
+    );
+    user.currentWorkspace = first._id;
+    return first;
+  }
+
+  return createWorkspace(user, `${user.name}'s Workspace`);
+};
+
+/**
+ * Add a user to a workspace if they aren't in it yet
+ * @param {string|import('mongoose').Types.ObjectId} workspaceId - Workspace ID
+ * @param {string|import('mongoose').Types.ObjectId} userId - User ID
+ * @returns {Promise<void>}
+ */
+export const ensureWorkspaceMember = async (workspaceId, userId) => {
+  if (!workspaceId) return;
+  await Workspace.updateOne(
+    { _id: workspaceId, "members.user": { $ne: userId } },
+    { $push: { members: { user: userId, role: "member" } } }
+  );
+};